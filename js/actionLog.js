@@ -0,0 +1,208 @@
+import { GAME_END_REASON_LABELS } from './victory.js';
+import { normalizeRules } from './ruleManager.js';
+
+/**
+ * 記録するアクションの種類を定義します。
+ */
+export const ACTION_TYPES = {
+    SEED: 'seed',
+    FIRST_PLAYER: 'firstPlayer',
+    MULLIGAN: 'mulligan',
+    PHASE: 'phase',
+    DRAW: 'draw',
+    REIKI_CHARGE: 'reikiCharge',
+    PLAY: 'play',
+    MOVE: 'move',
+    ATTACK: 'attack',
+    BLOCK: 'block',
+    DISCARD: 'discard',
+    GAUGE: 'gauge',
+    RECAPTURE: 'recapture',
+    EFFECT: 'effect',
+    GAME_END: 'gameEnd',
+};
+
+const LOG_VERSION = 1;
+
+/**
+ * エンジンの全ての判断を型付きアクションとして記録し、ターンごとの盤面スナップショットを保持するクラス。
+ * JSONとして書き出し、リプレイ画面で読み込むことができる。
+ */
+export class ActionLog {
+    constructor() {
+        this.meta = null;
+        this.actions = [];
+        this.snapshots = [];
+        // スナップショット間で共有するカードの静的データ（uuid → カード）
+        this.cards = {};
+    }
+
+    /**
+     * 試合の開始情報を記録する。
+     * @param {Object} state - 初期状態のゲーム状態
+     */
+    start(state) {
+        this.meta = {
+            version: LOG_VERSION,
+            seed: state.seed,
+            gameMode: state.gameMode,
+            playerNames: [...state.playerNames],
+            deckNames: [...(state.deckNames || [])],
+            rules: { ...state.rules },
+            recordedAt: new Date().toISOString(),
+        };
+        this.record(ACTION_TYPES.SEED, state, { seed: state.seed });
+    }
+
+    /**
+     * アクションを1件記録する。
+     * @param {string} type - ACTION_TYPESのいずれか
+     * @param {Object} state - 現在のゲーム状態
+     * @param {Object} [payload] - アクション固有のデータ
+     * @returns {Object} 記録されたアクション
+     */
+    record(type, state, payload = {}) {
+        const action = {
+            index: this.actions.length,
+            type,
+            turn: state.turn,
+            phase: state.phase,
+            activePlayerIndex: state.activePlayerIndex,
+            ...payload,
+        };
+        this.actions.push(action);
+        return action;
+    }
+
+    /**
+     * 現在の盤面をスナップショットとして保存する。
+     * カードは uuid と可変な値（BP・BP修正・レスト状態・ゲージの表裏）だけを保持し、静的データは cards にまとめる。
+     * @param {Object} state - 現在のゲーム状態
+     */
+    snapshot(state) {
+        const ref = card => {
+            if (!card) return null;
+            if (!this.cards[card.uuid]) this.cards[card.uuid] = structuredClone(card);
+            const entry = { uuid: card.uuid, bp: card.bp, rested: card.rested };
+            if (card.modifiers && card.modifiers.length) entry.modifiers = structuredClone(card.modifiers);
+            if (card.faceUp) entry.faceUp = true;
+            return entry;
+        };
+        this.snapshots.push({
+            turn: state.turn,
+            activePlayerIndex: state.activePlayerIndex,
+            actionIndex: this.actions.length,
+            winner: state.winner,
+            players: state.players.map(player => ({
+                reiki: player.reiki,
+                maxReiki: player.maxReiki,
+                reikiColors: { ...(player.reikiColors || {}) },
+                reikiZone: (player.reikiZone || []).map(ref),
+                hand: player.hand.map(ref),
+                mainDeck: player.mainDeck.map(ref),
+                reikiDeck: player.reikiDeck.map(ref),
+                trash: player.trash.map(ref),
+                bases: player.bases.map(base => ({ owner: base.owner, gauges: base.gauges.map(ref) })),
+                field: Object.fromEntries(Object.entries(player.field).map(([slot, card]) => [slot, ref(card)])),
+            })),
+        });
+    }
+
+    /**
+     * スナップショットを描画可能なゲーム状態に復元する。ルールを記録していない古いリプレイは標準ルールとみなす。
+     * @param {number} snapshotIndex - スナップショットの番号
+     * @returns {Object} ゲーム状態
+     */
+    restoreSnapshot(snapshotIndex) {
+        const snapshot = this.snapshots[snapshotIndex];
+        const card = ref => ref ? { ...this.cards[ref.uuid], bp: ref.bp, modifiers: ref.modifiers || [], rested: ref.rested, faceUp: !!ref.faceUp } : null;
+        return {
+            turn: snapshot.turn,
+            activePlayerIndex: snapshot.activePlayerIndex,
+            phase: 'start',
+            winner: snapshot.winner,
+            gameMode: this.meta.gameMode,
+            playerNames: this.meta.playerNames,
+            seed: this.meta.seed,
+            deckNames: this.meta.deckNames,
+            rules: normalizeRules(this.meta.rules),
+            players: snapshot.players.map(player => ({
+                reiki: player.reiki,
+                maxReiki: player.maxReiki,
+                reikiColors: player.reikiColors || {},
+                reikiZone: (player.reikiZone || []).map(card),
+                hand: player.hand.map(card),
+                mainDeck: player.mainDeck.map(card),
+                reikiDeck: player.reikiDeck.map(card),
+                trash: player.trash.map(card),
+                bases: player.bases.map(base => ({ owner: base.owner, gauges: base.gauges.map(card) })),
+                field: Object.fromEntries(Object.entries(player.field).map(([slot, ref]) => [slot, card(ref)])),
+            })),
+        };
+    }
+
+    /**
+     * 指定したスナップショットから次のスナップショットまでのアクションを返す。
+     * @param {number} snapshotIndex - スナップショットの番号
+     * @returns {Object[]} アクションの配列
+     */
+    getActionsForSnapshot(snapshotIndex) {
+        const start = this.snapshots[snapshotIndex].actionIndex;
+        const next = this.snapshots[snapshotIndex + 1];
+        return this.actions.slice(start, next ? next.actionIndex : this.actions.length);
+    }
+
+    toJSON() {
+        return { meta: this.meta, actions: this.actions, snapshots: this.snapshots, cards: this.cards };
+    }
+
+    /**
+     * 書き出したJSONからActionLogを復元する。
+     * @param {Object} data - toJSON() の結果
+     * @returns {ActionLog} 復元したログ
+     */
+    static fromJSON(data) {
+        if (!data || !data.meta || !Array.isArray(data.actions) || !Array.isArray(data.snapshots)) {
+            throw new Error('リプレイデータの形式が正しくありません。');
+        }
+        if (data.meta.version !== LOG_VERSION) {
+            throw new Error(`対応していないリプレイのバージョンです: ${data.meta.version}`);
+        }
+        const log = new ActionLog();
+        log.meta = data.meta;
+        log.actions = data.actions;
+        log.snapshots = data.snapshots;
+        log.cards = data.cards || {};
+        return log;
+    }
+}
+
+/**
+ * アクションを人が読める文に変換する。
+ * @param {Object} action - 記録されたアクション
+ * @param {string[]} playerNames - プレイヤー名
+ * @returns {string} 表示用の文字列
+ */
+export function formatAction(action, playerNames) {
+    const name = index => playerNames[index];
+    switch (action.type) {
+        case ACTION_TYPES.SEED: return `シード: ${action.seed}`;
+        case ACTION_TYPES.FIRST_PLAYER: return `${action.method === 'rps' ? 'じゃんけん' : 'コイントス'}で${name(action.playerIndex)}が先攻`;
+        case ACTION_TYPES.MULLIGAN: return `${name(action.playerIndex)}が${action.mulligan ? 'マリガンした' : '手札を確定した'}`;
+        case ACTION_TYPES.PHASE: return `${name(action.activePlayerIndex)}: ${action.phase.toUpperCase()} PHASE`;
+        case ACTION_TYPES.DRAW: return `${name(action.playerIndex)}がカードを${action.cardUUIDs.length}枚引いた`;
+        case ACTION_TYPES.PLAY: return action.slot
+            ? `${name(action.playerIndex)}が${action.cardName}を${action.slot}に召喚`
+            : `${name(action.playerIndex)}がイベント「${action.cardName}」を使用`;
+        case ACTION_TYPES.ATTACK: return `${name(action.playerIndex)}の${action.attackerName}が${action.target}に攻撃 (${action.result})`;
+        case ACTION_TYPES.GAUGE: return `${name(action.playerIndex)}の拠点${action.baseIndex}のゲージ「${action.cardName}」が${action.destination === 'hand' ? '手札に加わった' : '公開された'}`;
+        case ACTION_TYPES.RECAPTURE: return `${name(action.playerIndex)}が拠点${action.baseIndex}を奪還`;
+        case ACTION_TYPES.DISCARD: return `${name(action.playerIndex)}が手札の上限を超えた${action.cardNames.join('、')}を捨てた`;
+        case ACTION_TYPES.EFFECT: return `スキル発動！ ${action.cardName}: ${action.action} (${action.trigger})`;
+        case ACTION_TYPES.GAME_END: {
+            const reason = GAME_END_REASON_LABELS[action.reason];
+            return (action.winner !== null ? `${name(action.winner)}の勝利` : '引き分け') + (reason ? `（${reason}）` : '');
+        }
+        default: return action.type;
+    }
+}
@@ -1,4 +1,39 @@
-import { CARD_TYPES } from './constants.js';
+import { CARD_TYPES, PHASES } from './constants.js';
+import { SeededRandom } from './rng.js';
+import { getLegalActions, parseBaseTarget, getRecaptureGuardBp } from './legalActions.js';
+
+/**
+ * AIの難易度ごとの設定。
+ * search: 候補手を複製した盤面で試してから選ぶかどうか
+ * randomRollouts: 候補手ごとに追加で試すランダムな手順の数
+ * timeBudget: 1手を選ぶのに使う時間の上限（ミリ秒）。超えた場合は残りのランダムな手順を打ち切る
+ * mistakeRate: 探索しない場合に最善手ではなくランダムな手を選ぶ確率
+ */
+export const AI_DIFFICULTIES = {
+    easy: { label: 'やさしい', search: false, randomRollouts: 0, timeBudget: 0, mistakeRate: 0.3 },
+    normal: { label: 'ふつう', search: true, randomRollouts: 0, timeBudget: 0, mistakeRate: 0 },
+    hard: { label: 'むずかしい', search: true, randomRollouts: 8, timeBudget: 300, mistakeRate: 0 },
+};
+export const DEFAULT_AI_DIFFICULTY = 'normal';
+
+/**
+ * 盤面評価の重み。
+ */
+const EVAL_WEIGHTS = {
+    WIN: 1000000,   // 勝敗
+    BASE: 6000,     // 制圧した拠点1つ
+    GAUGE: 1500,    // 残っているゲージ1枚
+    BOARD_BP: 1,    // 場のユニットのBP
+    HAND: 400,      // 手札1枚
+};
+
+/**
+ * マリガンの判断基準。序盤に出せるコストのユニットが少ない手札は引き直す。
+ */
+const MULLIGAN = {
+    EARLY_COST: 2,          // 序盤に出せるとみなすコストの上限
+    MIN_EARLY_UNITS: 2,     // 手札を確定するのに必要な、序盤に出せるユニットの枚数
+};
 
 /**
  * AIの思考と行動を決定するクラス。
@@ -6,6 +41,18 @@ import { CARD_TYPES } from './constants.js';
 export class AIAgent {
     constructor(engine) {
         this.engine = engine;
+        // 候補手を試すための盤面を描画なしで動かすエンジン。最初の探索時に作る
+        this.simulator = null;
+    }
+
+    /**
+     * プレイヤーに設定された難易度を返す。
+     * @param {number} playerIndex - プレイヤーのインデックス
+     * @returns {Object} AI_DIFFICULTIESのいずれか
+     */
+    getDifficulty(playerIndex) {
+        const name = this.engine.state.aiDifficulty?.[playerIndex];
+        return AI_DIFFICULTIES[name] || AI_DIFFICULTIES[DEFAULT_AI_DIFFICULTY];
     }
 
     /**
@@ -14,64 +61,277 @@ export class AIAgent {
     async executeMainPhase() {
         await this.engine.delay();
         const playerIndex = this.engine.state.activePlayerIndex;
-        
+        const difficulty = this.getDifficulty(playerIndex);
+        if (!difficulty.search) {
+            await this.playHeuristicMainPhase(playerIndex, difficulty.mistakeRate);
+            return;
+        }
+        await this.executeSearchedPhase(playerIndex, difficulty);
+    }
+
+    /**
+     * AIのバトルフェイズの行動を実行する。
+     */
+    async executeBattlePhase() {
+        await this.engine.delay();
+        const playerIndex = this.engine.state.activePlayerIndex;
+        const difficulty = this.getDifficulty(playerIndex);
+        if (!difficulty.search) {
+            await this.playHeuristicBattlePhase(playerIndex, difficulty.mistakeRate);
+            return;
+        }
+        await this.executeSearchedPhase(playerIndex, difficulty);
+    }
+
+    /**
+     * 現在のフェイズで、候補手を探索して最も評価の高い手を選んで実行することを繰り返す。
+     * フェイズ終了が最善になった時点で終える。
+     * @param {number} playerIndex - 行動するプレイヤー
+     * @param {Object} difficulty - AI_DIFFICULTIESのいずれか
+     */
+    async executeSearchedPhase(playerIndex, difficulty) {
+        for (;;) {
+            const action = await this.searchBestAction(playerIndex, difficulty);
+            if (action.type === 'endPhase') return;
+            await this.performAction(this.engine, playerIndex, action);
+            await this.engine.delay();
+            if (this.engine.state.winner !== null) return;
+        }
+    }
+
+    /**
+     * 候補手ごとに複製した盤面で残りのターンを進め、ターン終了時の評価が最も高い手を返す。
+     * 残りのターンは簡易AIで進め（貪欲なロールアウト）、難易度によってはランダムな手順も試して最大値を取る。
+     * 盤面はAIから見えない情報を配り直したもの（createSearchSample()）を使い、ランダムな手順ごとに配り直す。
+     * @param {number} playerIndex - 行動するプレイヤー
+     * @param {Object} difficulty - AI_DIFFICULTIESのいずれか
+     * @returns {Promise<Object>} { type: 'play', cardUUID, slot } | { type: 'attack', attackerSlot, target } | { type: 'endPhase' }
+     */
+    async searchBestAction(playerIndex, difficulty) {
+        const state = this.engine.state;
+        const candidates = [{ type: 'endPhase' }, ...this.getCandidateActions(state, playerIndex)];
+        if (candidates.length === 1) return candidates[0];
+
+        const rng = this.createRandom(state, 'search');
+        const sampleRng = this.createRandom(state, 'sample');
+        const deadline = difficulty.timeBudget ? Date.now() + difficulty.timeBudget : Infinity;
+        const scores = [];
+        const greedySample = this.createSearchSample(state, playerIndex, sampleRng);
+        for (const action of candidates) scores.push(await this.rollout(greedySample, playerIndex, action, null));
+        for (let i = 0; i < difficulty.randomRollouts && Date.now() < deadline; i++) {
+            const sample = this.createSearchSample(state, playerIndex, sampleRng);
+            for (const [index, action] of candidates.entries()) {
+                scores[index] = Math.max(scores[index], await this.rollout(sample, playerIndex, action, rng));
+            }
+        }
+
+        // 同点の場合は先の候補（フェイズ終了を含む）を優先し、意味のない行動を避ける
+        let bestIndex = 0;
+        scores.forEach((score, index) => { if (score > scores[bestIndex]) bestIndex = index; });
+        return candidates[bestIndex];
+    }
+
+    /**
+     * 探索に使う盤面を作る。AIから見えない情報（相手の手札、両者の山札とレイキデッキの順番、裏向きのゲージ）は、
+     * プレイヤーごとに見えないカードをまとめてシャッフルし、同じ枚数ずつ配り直したものに置き換える。
+     * 実際の相手の手札やこれから引くカードを読んで手を選ばないようにするため。
+     * シミュレーションの乱数も本番の乱数の複製ではなく、配り直しごとに別の乱数を使う。
+     * @param {Object} state - 元のゲーム状態
+     * @param {number} playerIndex - 探索するプレイヤー
+     * @param {SeededRandom} rng - 配り直しに使う乱数
+     * @returns {{state: Object, rng: Object}} 配り直したゲーム状態と、シミュレーションの乱数の内部状態
+     */
+    createSearchSample(state, playerIndex, rng) {
+        const sample = structuredClone(state);
+        sample.players.forEach((player, index) => {
+            const hiddenHand = index === playerIndex ? [] : player.hand;
+            const hiddenGauges = player.bases.flatMap(base => base.gauges.filter(card => !card.faceUp));
+            const pool = rng.shuffle([...player.mainDeck, ...hiddenHand, ...hiddenGauges]);
+            player.mainDeck = pool.splice(0, player.mainDeck.length);
+            if (index !== playerIndex) player.hand = pool.splice(0, player.hand.length);
+            player.bases.forEach(base => { base.gauges = base.gauges.map(card => (card.faceUp ? card : pool.shift())); });
+            rng.shuffle(player.reikiDeck);
+        });
+        return { state: sample, rng: new SeededRandom(rng.nextInt(0x100000000)).getState() };
+    }
+
+    /**
+     * 盤面を複製して候補手を実行し、ターン終了まで進めた盤面を評価する。
+     * @param {{state: Object, rng: Object}} sample - createSearchSample() で作った盤面
+     * @param {number} playerIndex - 行動するプレイヤー
+     * @param {Object} action - 最初に実行する手
+     * @param {SeededRandom|null} rng - ランダムな手順で進める場合の乱数。nullなら簡易AIで進める
+     * @returns {Promise<number>} 評価値
+     */
+    async rollout(sample, playerIndex, action, rng) {
+        const sim = this.getSimulator();
+        sim.state = structuredClone(sample.state);
+        // シミュレーションでは両者ともAIとして扱い、対象選択などで入力を待たないようにする
+        sim.state.gameMode = 'EvE';
+        // 同じ盤面の候補手は同じ乱数で比べる
+        sim.rng = SeededRandom.fromState(sample.rng);
+
+        // フェイズ終了を選んだ場合、そのフェイズではそれ以上行動しない
+        const endsPhase = action.type === 'endPhase';
+        if (!endsPhase) await this.performAction(sim, playerIndex, action);
+        if (sim.state.phase === PHASES.MAIN) {
+            if (!endsPhase) await this.continueTurn(sim, playerIndex, rng);
+            sim.state.phase = PHASES.BATTLE;
+            await this.continueTurn(sim, playerIndex, rng);
+        } else if (!endsPhase) {
+            await this.continueTurn(sim, playerIndex, rng);
+        }
+        sim.endTurnCleanup();
+        sim.checkWinner();
+        return this.evaluateState(sim.state, playerIndex);
+    }
+
+    /**
+     * シミュレーション上で現在のフェイズの残りを進める。
+     * @param {GameEngine} sim - シミュレーションのエンジン
+     * @param {number} playerIndex - 行動するプレイヤー
+     * @param {SeededRandom|null} rng - ランダムな手順で進める場合の乱数。nullなら簡易AIで進める
+     */
+    async continueTurn(sim, playerIndex, rng) {
+        if (!rng) {
+            if (sim.state.phase === PHASES.MAIN) await sim.ai.playHeuristicMainPhase(playerIndex, 0);
+            else await sim.ai.playHeuristicBattlePhase(playerIndex, 0);
+            return;
+        }
+        while (sim.state.winner === null) {
+            const actions = [{ type: 'endPhase' }, ...this.getCandidateActions(sim.state, playerIndex)];
+            const action = actions[rng.nextInt(actions.length)];
+            if (action.type === 'endPhase') return;
+            await this.performAction(sim, playerIndex, action);
+        }
+    }
+
+    getSimulator() {
+        if (!this.simulator) {
+            this.simulator = new this.engine.constructor({ speed: 0 });
+            this.simulator.actionLog = null;
+        }
+        return this.simulator;
+    }
+
+    /**
+     * 行動をエンジンに実行させる。
+     * @param {GameEngine} engine - 実行するエンジン（本番またはシミュレーション）
+     * @param {number} playerIndex - 行動するプレイヤー
+     * @param {Object} action - 実行する手
+     */
+    async performAction(engine, playerIndex, action) {
+        if (action.type === 'play') await engine.playCard(playerIndex, action.cardUUID, action.slot);
+        else if (action.type === 'move') await engine.moveUnit(playerIndex, action.fromSlot, action.toSlot);
+        else if (action.type === 'attack') await engine.initiateAttack(playerIndex, action.attackerSlot, action.target);
+    }
+
+    /**
+     * 現在のフェイズで実行できる手を列挙する。
+     * @param {Object} state - ゲーム状態
+     * @param {number} playerIndex - 行動するプレイヤー
+     * @returns {Object[]} 手の配列（フェイズ終了は含まない）
+     */
+    getCandidateActions(state, playerIndex) {
+        return getLegalActions(state, playerIndex).filter(action => action.type !== 'endPhase');
+    }
+
+    /**
+     * 盤面をプレイヤーの視点で評価する。拠点・ゲージ・場のBP・手札の枚数の差を重み付けして合計する。
+     * @param {Object} state - ゲーム状態
+     * @param {number} playerIndex - 評価するプレイヤー
+     * @returns {number} 評価値。大きいほど有利
+     */
+    evaluateState(state, playerIndex) {
+        if (state.winner !== null) return state.winner === playerIndex ? EVAL_WEIGHTS.WIN : -EVAL_WEIGHTS.WIN;
+        const opponentIndex = (playerIndex + 1) % 2;
+        const side = index => {
+            const player = state.players[index];
+            const other = state.players[(index + 1) % 2];
+            const boardBp = Object.entries(player.field)
+                .filter(([slot, card]) => card && slot !== 'support')
+                .reduce((sum, [, card]) => sum + card.bp, 0);
+            return other.bases.filter(base => base.owner === index).length * EVAL_WEIGHTS.BASE
+                + player.bases.reduce((sum, base) => sum + base.gauges.length, 0) * EVAL_WEIGHTS.GAUGE
+                + boardBp * EVAL_WEIGHTS.BOARD_BP
+                + player.hand.length * EVAL_WEIGHTS.HAND;
+        };
+        return side(playerIndex) - side(opponentIndex);
+    }
+
+    /**
+     * 探索を行わない簡易AIでメインフェイズを進める。
+     * @param {number} playerIndex - 行動するプレイヤー
+     * @param {number} mistakeRate - 最善ではなくランダムなカードを選ぶ確率
+     */
+    async playHeuristicMainPhase(playerIndex, mistakeRate) {
+        const rng = mistakeRate ? this.createRandom(this.engine.state, PHASES.MAIN) : null;
         let playedSomething;
         do {
             playedSomething = false;
             const player = this.engine.state.players[playerIndex];
 
-            // プレイ可能なカードを評価
-            const playableCards = player.hand.filter(c => c.cost <= player.reiki);
+            // 合法手に含まれるカードだけを候補にする（カウンターイベントや置き場所のないカードは含まれない）
+            const playActions = this.getCandidateActions(this.engine.state, playerIndex).filter(action => action.type === 'play');
+            const playableCards = player.hand.filter(c => playActions.some(action => action.cardUUID === c.uuid));
             if (playableCards.length === 0) break;
 
             // カードを評価して最適な一枚を選ぶ（簡易版）
-            const bestCardToPlay = this.evaluateCards(playableCards)[0];
+            const evaluated = this.evaluateCards(playableCards);
+            const bestCardToPlay = rng && rng.next() < mistakeRate ? evaluated[rng.nextInt(evaluated.length)] : evaluated[0];
             if (!bestCardToPlay) break;
 
             const card = bestCardToPlay.card;
-            
-            if (card.type === CARD_TYPES.UNIT || card.type === CARD_TYPES.SUPPORT) {
-                const targetSlot = this.findBestSlotFor(player, card);
-                if (targetSlot) {
-                    this.engine.playCard(playerIndex, card.uuid, targetSlot);
-                    playedSomething = true;
-                }
-            } else if (card.type === CARD_TYPES.EVENT) {
-                this.engine.playCard(playerIndex, card.uuid, null);
-                playedSomething = true;
-            }
-
-            if (playedSomething) {
-                await this.engine.delay();
-            }
+            const legalSlots = playActions.filter(action => action.cardUUID === card.uuid).map(action => action.slot);
+            await this.engine.playCard(playerIndex, card.uuid, this.findBestSlotFor(legalSlots));
+            playedSomething = true;
+            await this.engine.delay();
 
         } while (playedSomething);
     }
 
     /**
-     * AIのバトルフェイズの行動を実行する。
+     * 探索を行わない簡易AIでバトルフェイズを進める。
+     * @param {number} playerIndex - 行動するプレイヤー
+     * @param {number} mistakeRate - 最善ではなくランダムな対象を攻撃する確率
      */
-    async executeBattlePhase() {
-        await this.engine.delay();
-        const playerIndex = this.engine.state.activePlayerIndex;
+    async playHeuristicBattlePhase(playerIndex, mistakeRate) {
+        const rng = mistakeRate ? this.createRandom(this.engine.state, PHASES.BATTLE) : null;
         const player = this.engine.state.players[playerIndex];
         const opponent = this.engine.state.players[(playerIndex + 1) % 2];
 
+        const attackerSlots = new Set(this.getCandidateActions(this.engine.state, playerIndex).map(action => action.attackerSlot));
         const attackers = Object.entries(player.field)
-            .filter(([s, c]) => c && !c.rested && (s.includes('vanguard') || s.includes('rearguard')))
+            .filter(([slot]) => attackerSlots.has(slot))
             .sort(([, a], [, b]) => b.bp - a.bp);
 
         for (const [attackerSlot, attackerCard] of attackers) {
-            const target = this.findBestAttackTarget(attackerCard, opponent);
-            
+            // 前の攻撃で盤面が変わるため、攻撃のたびに合法な対象を求め直す
+            const targets = this.getCandidateActions(this.engine.state, playerIndex)
+                .filter(action => action.attackerSlot === attackerSlot)
+                .map(action => action.target);
+            if (targets.length === 0) continue;
+            let target = this.findBestAttackTarget(attackerCard, opponent, targets);
+            if (rng && rng.next() < mistakeRate) target = targets[rng.nextInt(targets.length)];
+
             if (target) {
-                this.engine.initiateAttack(playerIndex, attackerSlot, target);
+                await this.engine.initiateAttack(playerIndex, attackerSlot, target);
             }
             await this.engine.delay();
             if (this.engine.state.winner !== null) return;
         }
     }
 
+    /**
+     * AIの判断に使う乱数を作る。試合のシード・ターン・用途から決まるため、保存から再開しても同じ判断になる。
+     * @param {Object} state - ゲーム状態
+     * @param {string} purpose - 用途（フェイズ名など）
+     * @returns {SeededRandom} 乱数生成器
+     */
+    createRandom(state, purpose) {
+        return new SeededRandom(`${state.seed}:${state.turn}:${state.activePlayerIndex}:${purpose}`);
+    }
+
     /**
      * 手札のカードを評価し、スコア順にソートする。
      * @param {Object[]} cards - 評価するカードの配列
@@ -82,43 +342,104 @@ export class AIAgent {
             let score = 0;
             if (card.type === CARD_TYPES.UNIT) score += card.bp;
             if (card.skill) {
-                // スキルの種類によってスコアを加算（例）
-                if (card.skill.action === 'draw') score += 1500 * card.skill.value;
-                if (card.skill.action === 'destroyWeakestOpponentUnit') score += 2000;
-                if (card.skill.action === 'buffAllAllyUnits') score += 500 * card.skill.value;
+                // スキルの効果によってスコアを加算（例）
+                this.engine.effectRegistry.getEffects(card.skill).forEach(effect => {
+                    const amount = typeof effect.amount === 'number' ? effect.amount : 1;
+                    if (effect.op === 'draw') score += 1500 * amount;
+                    if (effect.op === 'destroy' && effect.target?.side === 'opponent') score += 2000;
+                    if (effect.op === 'buff' && effect.target?.pick === 'all') score += 500 * amount;
+                });
             }
             return { card, score };
         });
         return evaluated.sort((a, b) => b.score - a.score);
     }
 
+    /**
+     * スキルの対象を選ぶ（エンジンから呼ばれる選択のコールバック）。
+     * 手札を捨てる場合は evaluateCards() の評価が低いものを選ぶ。
+     * それ以外で自分のカードを失う操作では弱いものを、それ以外では強いものを選ぶ。
+     * @param {number} playerIndex - 選ぶプレイヤー
+     * @param {Object[]} candidates - 候補 { playerIndex, zone, slot, card }
+     * @param {number} count - 選ぶ枚数
+     * @param {Object} effect - 実行中の効果
+     * @returns {Object[]} 選ばれた対象
+     */
+    chooseTargets(playerIndex, candidates, count, effect) {
+        if (effect.op === 'discard' && candidates.every(c => c.playerIndex === playerIndex && c.zone === 'hand')) {
+            const ranked = this.evaluateCards(candidates.map(c => c.card));
+            return ranked.slice(-count).map(({ card }) => candidates.find(c => c.card === card));
+        }
+        const harmful = ['destroy', 'discard', 'bounce', 'rest'].includes(effect.op);
+        const score = ({ card, playerIndex: owner }) => (harmful && owner === playerIndex ? -card.bp : card.bp);
+        return [...candidates].sort((a, b) => score(b) - score(a)).slice(0, count);
+    }
+
+    /**
+     * 初手の手札をマリガンするかどうかを選ぶ（エンジンから呼ばれるマリガンのコールバック）。
+     * @param {number} playerIndex - 選ぶプレイヤー
+     * @returns {boolean} マリガンする場合true
+     */
+    chooseMulligan(playerIndex) {
+        const hand = this.engine.state.players[playerIndex].hand;
+        const earlyUnits = hand.filter(card => card.type === CARD_TYPES.UNIT && card.cost <= MULLIGAN.EARLY_COST);
+        return earlyUnits.length < MULLIGAN.MIN_EARLY_UNITS;
+    }
+
+    /**
+     * 攻撃を宣言されたときの応答を選ぶ（エンジンから呼ばれる応答のコールバック）。
+     * 返り討ちにできるユニットがいればブロックし、いなければカウンターイベントを使う。
+     * 拠点が制圧されそうな場合や、制圧した拠点を奪還されそうな場合は負けるユニットでもブロックする。
+     * @param {number} playerIndex - 防御するプレイヤー
+     * @param {{attackerIndex: number, attackerSlot: string, target: string}} attack - 宣言された攻撃
+     * @param {Object[]} responses - getLegalResponses() の結果
+     * @returns {Object} 選んだ応答
+     */
+    chooseDefenderResponse(playerIndex, attack, responses) {
+        const player = this.engine.state.players[playerIndex];
+        const attacker = this.engine.state.players[attack.attackerIndex].field[attack.attackerSlot];
+        const baseTarget = parseBaseTarget(attack.target);
+        const targetCard = baseTarget ? null : player.field[attack.target];
+        // 攻撃対象のユニットが返り討ちにできる場合は何もしない
+        if (targetCard && targetCard.bp > attacker.bp) return { type: 'pass' };
+        // 奪還を狙う攻撃が場のユニットのBPを上回らず、放っておいても失敗する場合も何もしない
+        if (baseTarget?.own && attacker.bp <= getRecaptureGuardBp(player)) return { type: 'pass' };
+
+        const blocks = responses
+            .filter(response => response.type === 'block')
+            .map(response => ({ response, card: player.field[response.blockerSlot] }))
+            .sort((a, b) => a.card.bp - b.card.bp);
+        const winningBlock = blocks.find(({ card }) => card.bp > attacker.bp);
+        if (winningBlock) return winningBlock.response;
+
+        const counter = responses.find(response => response.type === 'counter');
+        if (counter) return counter;
+
+        // 制圧されそうな拠点と、奪還されそうな拠点は負けるユニットでもブロックして守る
+        const base = baseTarget && !baseTarget.own ? player.bases[baseTarget.index] : null;
+        if ((baseTarget?.own || (base && base.gauges.length <= 1)) && blocks.length > 0) return blocks[0].response;
+        return { type: 'pass' };
+    }
+
     /**
      * カードを配置するのに最適なスロットを見つける。
-     * @param {Object} player - プレイヤーの状態
-     * @param {Object} card - 配置するカード
+     * @param {(string|null)[]} legalSlots - 合法手に含まれる配置先（イベントの場合は null のみ）
      * @returns {string|null} 最適なスロット名
      */
-    findBestSlotFor(player, card) {
-        let emptySlots = [];
-        if (card.type === CARD_TYPES.UNIT) {
-            emptySlots = Object.entries(player.field)
-                .filter(([key, c]) => !c && (key.includes('vanguard') || key.includes('rearguard')))
-                .map(([slot]) => slot);
-        } else if (card.type === CARD_TYPES.SUPPORT) {
-            if (!player.field.support) emptySlots.push('support');
-        }
-        return emptySlots.length > 0 ? emptySlots[0] : null; // シンプルに最初の空きスロット
+    findBestSlotFor(legalSlots) {
+        return legalSlots[0]; // シンプルに最初の空きスロット
     }
 
     /**
      * 最適な攻撃対象を見つける。
      * @param {Object} attackerCard - 攻撃するカード
      * @param {Object} opponent - 相手プレイヤーの状態
+     * @param {string[]} legalTargets - 攻撃できる対象（スロット名または拠点ID）
      * @returns {string|null} ターゲットのスロットまたは拠点ID
      */
-    findBestAttackTarget(attackerCard, opponent) {
+    findBestAttackTarget(attackerCard, opponent, legalTargets) {
         const opponentCards = Object.entries(opponent.field)
-            .filter(([,c]) => c)
+            .filter(([slot, c]) => c && legalTargets.includes(slot))
             .sort(([,a],[,b]) => a.bp - b.bp);
 
         // 倒せるカードの中で最もBPが高いものを狙う
@@ -138,9 +459,13 @@ export class AIAgent {
                 return slot;
             }
         }
-        
-        // 攻撃できるユニットがいない場合、拠点を攻撃
-        const baseToAttack = opponent.bases.findIndex(b => b.owner !== this.engine.state.activePlayerIndex);
+
+        // 攻撃できるユニットがいない場合、奪われた拠点があれば奪還を優先する。相手の場の最高BPを上回らないと失敗するので、その場合は狙わない
+        const recapture = legalTargets.find(target => parseBaseTarget(target)?.own);
+        if (recapture && attackerCard.bp > getRecaptureGuardBp(opponent)) return recapture;
+
+        // 奪還する拠点もない場合、拠点を攻撃
+        const baseToAttack = opponent.bases.findIndex((b, index) => legalTargets.includes(`base${index}`));
         if (baseToAttack !== -1) {
             return `base${baseToAttack}`;
         }
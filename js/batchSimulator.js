@@ -0,0 +1,157 @@
+import { createHeadlessEngine } from './headless.js';
+import { ACTION_TYPES } from './actionLog.js';
+import { DEFAULT_RULES, normalizeRules, describeRules } from './ruleManager.js';
+import { GAME_END_REASON_LABELS } from './victory.js';
+
+/**
+ * 勝率のWilsonスコア信頼区間を求める。試合数が少ない場合や勝率が0%・100%に近い場合でも範囲外にならない。
+ * @param {number} wins - 勝利数
+ * @param {number} games - 試合数
+ * @param {number} [z] - 標準正規分布の分位点（既定は95%信頼区間の1.96）
+ * @returns {{rate: number, low: number, high: number}} 勝率と信頼区間の下限・上限（0〜1）
+ */
+export function winRateInterval(wins, games, z = 1.96) {
+    if (!games) return { rate: 0, low: 0, high: 0 };
+    const rate = wins / games;
+    const denominator = 1 + z * z / games;
+    const center = (rate + z * z / (2 * games)) / denominator;
+    const margin = z * Math.sqrt(rate * (1 - rate) / games + z * z / (4 * games * games)) / denominator;
+    return { rate, low: Math.max(0, center - margin), high: Math.min(1, center + margin) };
+}
+
+/**
+ * 試合開始時にプレイヤーが持っていたカード名（山札・手札・ゲージ）を返す。
+ * @param {Object} player - 初期状態のプレイヤー
+ * @returns {Set<string>} カード名の集合
+ */
+function collectCardNames(player) {
+    const cards = [...player.mainDeck, ...player.hand, ...player.bases.flatMap(base => base.gauges)];
+    return new Set(cards.map(card => card.name));
+}
+
+/**
+ * 2つの構成（デッキとAI難易度）のAI同士の対戦を描画なしで繰り返し、結果を集計する。
+ * 先攻は試合ごとにコイントスなどで決まる。席の有利を打ち消すため、試合ごとに構成の席も入れ替える。
+ * @param {Object[]} cardsData - カードデータの配列
+ * @param {Object} options
+ * @param {Object[]} options.configs - 2つの構成 { name, deck, aiDifficulty }。deckがnullの場合は全カード
+ * @param {number} [options.games] - 試合数
+ * @param {number} [options.seed] - 最初の試合のシード。以降は1ずつ増やす
+ * @param {Object} [options.rules] - 全試合で使うルール。省略時は標準ルール
+ * @param {Function} [options.onProgress] - 1試合終わるごとに (完了数, 試合数) を受け取る関数
+ * @returns {Promise<Object>} 集計結果。formatBatchReport() で表示用の文字列にできる
+ */
+export async function runBatch(cardsData, { configs, games = 1000, seed = 1, rules = DEFAULT_RULES, onProgress = null }) {
+    rules = normalizeRules(rules);
+    const results = {
+        games,
+        seed,
+        rules,
+        maxTurns: rules.MAX_TURNS,
+        configs: configs.map(config => ({ name: config.name, aiDifficulty: config.aiDifficulty, wins: 0, firstPlayerWins: 0, firstPlayerGames: 0 })),
+        draws: 0,
+        endReasons: {},
+        firstPlayerWins: 0,
+        totalTurns: 0,
+        cards: {},
+    };
+    const cardStats = name => {
+        if (!results.cards[name]) results.cards[name] = { plays: 0, gamesPlayed: 0, winsPlayed: 0, gamesNotPlayed: 0, winsNotPlayed: 0 };
+        return results.cards[name];
+    };
+
+    for (let game = 0; game < games; game++) {
+        // 奇数試合は構成を入れ替えて、構成Bをプレイヤー0の席にする
+        const order = game % 2 === 0 ? [0, 1] : [1, 0];
+        const seats = order.map(index => configs[index]);
+        const engine = createHeadlessEngine();
+        engine.state = engine.createInitialGameState(
+            cardsData, 'EvE', seats.map(config => config.name), seed + game,
+            seats.map(config => config.deck || null), seats.map(config => config.aiDifficulty), rules);
+        const initialNames = engine.state.players.map(collectCardNames);
+        const state = await engine.runGameLoop();
+
+        results.totalTurns += state.turn;
+        results.endReasons[state.result.reason] = (results.endReasons[state.result.reason] || 0) + 1;
+        if (state.winner === null) {
+            results.draws++;
+        } else {
+            results.configs[order[state.winner]].wins++;
+            if (state.winner === state.firstPlayerIndex) results.firstPlayerWins++;
+        }
+        results.configs[order[state.firstPlayerIndex]].firstPlayerGames++;
+        if (state.winner === state.firstPlayerIndex) results.configs[order[state.firstPlayerIndex]].firstPlayerWins++;
+
+        // カードごとのプレイ回数と、プレイした試合・しなかった試合の勝率
+        const playedNames = [new Set(), new Set()];
+        engine.actionLog.actions
+            .filter(action => action.type === ACTION_TYPES.PLAY)
+            .forEach(action => {
+                cardStats(action.cardName).plays++;
+                playedNames[action.playerIndex].add(action.cardName);
+            });
+        [0, 1].forEach(playerIndex => {
+            const won = state.winner === playerIndex;
+            initialNames[playerIndex].forEach(name => {
+                const stats = cardStats(name);
+                if (playedNames[playerIndex].has(name)) {
+                    stats.gamesPlayed++;
+                    if (won) stats.winsPlayed++;
+                } else {
+                    stats.gamesNotPlayed++;
+                    if (won) stats.winsNotPlayed++;
+                }
+            });
+        });
+
+        if (onProgress) onProgress(game + 1, games);
+    }
+
+    results.configs.forEach(config => { config.winRate = winRateInterval(config.wins, games); });
+    results.firstPlayerWinRate = winRateInterval(results.firstPlayerWins, games);
+    results.drawRate = games ? results.draws / games : 0;
+    results.averageTurns = games ? results.totalTurns / games : 0;
+    Object.values(results.cards).forEach(stats => {
+        stats.winRatePlayed = stats.gamesPlayed ? stats.winsPlayed / stats.gamesPlayed : null;
+        stats.winRateNotPlayed = stats.gamesNotPlayed ? stats.winsNotPlayed / stats.gamesNotPlayed : null;
+        // プレイした場合としなかった場合の勝率の差。両方のデータがある場合のみ
+        stats.winContribution = stats.winRatePlayed !== null && stats.winRateNotPlayed !== null
+            ? stats.winRatePlayed - stats.winRateNotPlayed
+            : null;
+    });
+    return results;
+}
+
+/**
+ * 集計結果を表示用の文字列にする。
+ * @param {Object} results - runBatch() の結果
+ * @param {Object} [options]
+ * @param {number} [options.topCards] - カード別の表に載せる枚数（勝利貢献度の高い順）
+ * @returns {string} レポート
+ */
+export function formatBatchReport(results, { topCards = 20 } = {}) {
+    const percent = value => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+    const lines = [];
+    lines.push(`試合数: ${results.games}（シード ${results.seed}〜${results.seed + results.games - 1}）`);
+    lines.push(`ルール: ${describeRules(results.rules)}`);
+    results.configs.forEach(config => {
+        const { rate, low, high } = config.winRate;
+        lines.push(`${config.name} [AI: ${config.aiDifficulty}] 勝利 ${config.wins} / 勝率 ${percent(rate)}（95%CI ${percent(low)} 〜 ${percent(high)}）先攻時 ${config.firstPlayerWins}/${config.firstPlayerGames}勝`);
+    });
+    lines.push(`引き分け（${results.maxTurns}ターン到達）: ${results.draws}（${percent(results.drawRate)}）`);
+    lines.push(`決着の内訳: ${Object.entries(results.endReasons).map(([reason, count]) => `${GAME_END_REASON_LABELS[reason] || reason} ${count}`).join(' / ')}`);
+    const first = results.firstPlayerWinRate;
+    lines.push(`先攻の勝率: ${percent(first.rate)}（95%CI ${percent(first.low)} 〜 ${percent(first.high)}）`);
+    lines.push(`平均ターン数: ${results.averageTurns.toFixed(2)}`);
+    lines.push('');
+    lines.push('カード別（勝利貢献度 = プレイした試合の勝率 − プレイしなかった試合の勝率）');
+    lines.push('プレイ数  プレイ時勝率  未プレイ時勝率  貢献度   カード名');
+    Object.entries(results.cards)
+        .sort(([, a], [, b]) => (b.winContribution ?? -Infinity) - (a.winContribution ?? -Infinity))
+        .slice(0, topCards)
+        .forEach(([name, stats]) => {
+            const contribution = stats.winContribution === null ? '    -  ' : `${stats.winContribution >= 0 ? '+' : ''}${(stats.winContribution * 100).toFixed(1)}pt`.padStart(7);
+            lines.push(`${String(stats.plays).padStart(7)}  ${percent(stats.winRatePlayed).padStart(12)}  ${percent(stats.winRateNotPlayed).padStart(14)}  ${contribution}  ${name}`);
+        });
+    return lines.join('\n');
+}
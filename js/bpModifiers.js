@@ -0,0 +1,57 @@
+/**
+ * カードのBP修正（バフ・デバフ）を扱う関数群。
+ * カードは修正の一覧 modifiers を持ち、card.bp は常に originalBp と修正の合計から計算し直した値になる。
+ * 修正は { sourceUUID, sourceName, playerIndex, amount, duration, turn, aura? } の形式で、
+ * duration は MODIFIER_DURATIONS のいずれか。aura は常時効果から掛けた修正を表す。
+ */
+
+/**
+ * 修正を反映したBPを求める。
+ * @param {Object} card - カード
+ * @returns {number} 修正後のBP
+ */
+export function getEffectiveBp(card) {
+    return (card.modifiers || []).reduce((bp, modifier) => bp + modifier.amount, card.originalBp);
+}
+
+/**
+ * card.bp を修正の一覧から計算し直す。
+ * @param {Object} card - カード
+ */
+export function refreshBp(card) {
+    card.bp = getEffectiveBp(card);
+}
+
+/**
+ * カードに修正を加える。
+ * @param {Object} card - 修正を受けるカード
+ * @param {Object} modifier - 修正
+ */
+export function addModifier(card, modifier) {
+    card.modifiers = [...(card.modifiers || []), modifier];
+    refreshBp(card);
+}
+
+/**
+ * 条件に合う修正を取り除く。
+ * @param {Object} card - カード
+ * @param {Function} predicate - 取り除く修正の場合にtrueを返す関数
+ * @returns {boolean} 1つでも取り除いた場合true
+ */
+export function removeModifiers(card, predicate) {
+    const modifiers = card.modifiers || [];
+    const remaining = modifiers.filter(modifier => !predicate(modifier));
+    if (remaining.length === modifiers.length) return false;
+    card.modifiers = remaining;
+    refreshBp(card);
+    return true;
+}
+
+/**
+ * 全ての修正を取り除き、元のBPに戻す。
+ * @param {Object} card - カード
+ */
+export function clearModifiers(card) {
+    card.modifiers = [];
+    refreshBp(card);
+}
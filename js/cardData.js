@@ -0,0 +1,182 @@
+import { CARD_TYPES } from './constants.js';
+
+// 以下のレアリティ表と名前による判定は、APIにもdata/cards.jsonにも値がない場合の最終手段としてのみ使う
+const RARITY_BP = { C: 1000, R: 1500, RR: 2000, RRR: 2500, SR: 3000, SEC: 3500, 'P-RR': 1800, 'P-RRR': 3800, 'SP-RRR': 4000, 'P': 500 };
+const RARITY_COST = { C: 1, R: 2, RR: 2, RRR: 3, SR: 3, SEC: 4, 'P-RR': 2, 'P-RRR': 3, 'SP-RRR': 4, 'P': 1 };
+
+/**
+ * APIのペイロードで各属性が入っている可能性のあるキー。先にあるものを優先する。
+ */
+const FIELD_ALIASES = {
+    bp: ['bp', 'battlePoint', 'power'],
+    cost: ['cost', 'reikiCost', 'playCost'],
+    color: ['color', 'colour', 'attribute'],
+    type: ['cardType', 'type', 'category'],
+    tribe: ['tribe', 'race'],
+    skillText: ['skillText', 'text', 'effectText', 'effect'],
+};
+
+const TYPE_NAMES = {
+    unit: CARD_TYPES.UNIT, 'ユニット': CARD_TYPES.UNIT,
+    event: CARD_TYPES.EVENT, 'イベント': CARD_TYPES.EVENT,
+    support: CARD_TYPES.SUPPORT, supporter: CARD_TYPES.SUPPORT, 'サポート': CARD_TYPES.SUPPORT, 'サポーター': CARD_TYPES.SUPPORT,
+    reiki: CARD_TYPES.REIKI, 'レイキ': CARD_TYPES.REIKI,
+};
+
+/**
+ * 値の出どころを表します。
+ */
+export const DATA_SOURCES = {
+    OVERRIDE: 'override',   // data/cards.json の上書き
+    API: 'api',             // APIのペイロード
+    INFERRED: 'inferred',   // レアリティや名前からの推測
+    MISSING: 'missing',     // どこにも値がない
+};
+
+const toNumber = value => {
+    const number = typeof value === 'string' ? Number(value.replace(/[^\d.-]/g, '')) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+};
+
+const NORMALIZERS = {
+    bp: toNumber,
+    cost: toNumber,
+    color: value => (typeof value === 'string' && value.trim() ? value.trim() : undefined),
+    type: value => (typeof value === 'string' ? TYPE_NAMES[value.trim().toLowerCase()] || TYPE_NAMES[value.trim()] : undefined),
+    tribe: value => (typeof value === 'string' && value.trim() ? value.trim() : undefined),
+    skillText: value => (typeof value === 'string' && value.trim() ? value.trim() : undefined),
+};
+
+/**
+ * カード名とスキルからカードの種類を推測する。
+ * @param {Object} card - 元のカードデータ
+ * @returns {string} CARD_TYPESのいずれか
+ */
+function inferCardType(card) {
+    if (card.skill && (card.name.includes("奥義") || card.name.includes("プランニング") || card.name.includes("不屈"))) return CARD_TYPES.EVENT;
+    if (card.name.includes("協力者")) return CARD_TYPES.SUPPORT;
+    if (card.name.startsWith('レイキ')) return CARD_TYPES.REIKI;
+    return CARD_TYPES.UNIT;
+}
+
+/**
+ * カード名に含まれる色（例:「レイキ（青）」）を推測する。
+ * @param {Object} card - 元のカードデータ
+ * @returns {string|undefined} 色
+ */
+function inferColor(card) {
+    const match = card.name.match(/[（(]([^）)]+)[）)]/);
+    return match ? match[1] : undefined;
+}
+
+const INFERENCES = {
+    bp: card => RARITY_BP[card.rarity] || 1000,
+    cost: card => RARITY_COST[card.rarity] || 1,
+    type: inferCardType,
+    color: inferColor,
+};
+
+// 色のないコスト付きカードを警告済みのカードID。同じカードを何度正規化しても警告は1回にする
+const warnedColorlessCards = new Set();
+
+/**
+ * 上書き・API・推測の順に属性の値を決める。
+ * @param {string} field - 属性名
+ * @param {Object} apiCard - APIのカードデータ
+ * @param {Object|null} override - data/cards.json の上書き
+ * @returns {{value: *, source: string}} 値と出どころ
+ */
+function resolveField(field, apiCard, override) {
+    const normalize = NORMALIZERS[field];
+    if (override) {
+        for (const key of FIELD_ALIASES[field]) {
+            // 上書きのnull・undefinedは指定がないものとして扱い、APIや推測の値を使う
+            if (override[key] == null) continue;
+            const value = normalize(override[key]);
+            if (value !== undefined) return { value, source: DATA_SOURCES.OVERRIDE };
+        }
+    }
+    for (const key of FIELD_ALIASES[field]) {
+        const value = apiCard[key] == null ? undefined : normalize(apiCard[key]);
+        if (value !== undefined) return { value, source: DATA_SOURCES.API };
+    }
+    const inferred = INFERENCES[field] ? INFERENCES[field]({ ...apiCard, ...override }) : undefined;
+    if (inferred !== undefined) return { value: inferred, source: DATA_SOURCES.INFERRED };
+    return { value: null, source: DATA_SOURCES.MISSING };
+}
+
+/**
+ * APIのカードデータと data/cards.json の上書きを統合し、属性とその出どころを確定する。
+ * @param {Object} apiCard - APIのカードデータ（上書きだけで構成されたカードでもよい）
+ * @param {Object|null} [override] - data/cards.json の同じIDのエントリ
+ * @returns {Object} 属性（bp, cost, color, type, tribe, skillText）と dataSources を持つカードデータ
+ */
+export function normalizeCardData(apiCard, override = null) {
+    const card = { ...apiCard, ...(override || {}) };
+    const dataSources = {};
+    Object.keys(FIELD_ALIASES).forEach(field => {
+        const { value, source } = resolveField(field, apiCard, override);
+        card[field] = value;
+        dataSources[field] = source;
+    });
+    card.dataSources = dataSources;
+    // 色のないカードはどの色のレイキでも払えてしまうため、データの不備として知らせる
+    if (card.type !== CARD_TYPES.REIKI && card.cost > 0 && !card.color && !warnedColorlessCards.has(card.id)) {
+        warnedColorlessCards.add(card.id);
+        console.warn(`カード「${card.name}」（${card.id}）はコストが${card.cost}ですが色がありません。data/cards.json で color を指定してください。`);
+    }
+    return card;
+}
+
+/**
+ * カードの種類を返す。
+ * @param {Object} card - カードデータ
+ * @returns {string} CARD_TYPESのいずれか
+ */
+export function getCardType(card) {
+    return deriveCardStats(card).type;
+}
+
+/**
+ * 元のカードデータからゲームで使用する能力値を求める。
+ * normalizeCardData() を通していないデータはその場で正規化する。
+ * @param {Object} card - カードデータ
+ * @returns {{type: string, bp: number, cost: number, color: string|null, tribe: string|null, skillText: string|null, imageUrl: string, dataSources: Object}} 能力値
+ */
+export function deriveCardStats(card) {
+    const normalized = card.dataSources ? card : normalizeCardData(card, null);
+    const imageUrl = card.imageUrl || card.thumbnailUrl || `https://cnptcg.s3.ap-northeast-1.amazonaws.com/images/cards/${encodeURIComponent(card.name)}_${encodeURIComponent(card.rarity)}.png`;
+    return {
+        type: normalized.type,
+        bp: normalized.bp,
+        cost: normalized.cost,
+        color: normalized.color,
+        tribe: normalized.tribe,
+        skillText: normalized.skillText,
+        imageUrl,
+        dataSources: normalized.dataSources,
+    };
+}
+
+/**
+ * 値が推測されたか欠けているカードを一覧にする。値がnullのもの（BPがnullのカードなど）は出どころに関わらず欠けているとみなす。
+ * 種族はユニット、スキルテキストはスキルを持つカードについてのみ確認する。
+ * @param {Object[]} cards - カードデータの配列
+ * @returns {{total: number, issues: {id: string, name: string, rarity: string, inferred: string[], missing: string[]}[]}} 検証結果
+ */
+export function buildCardDataReport(cards) {
+    const issues = [];
+    cards.forEach(card => {
+        const stats = deriveCardStats(card);
+        const checked = ['bp', 'cost', 'type', 'color'];
+        if (stats.type === CARD_TYPES.UNIT) checked.push('tribe');
+        if (card.skill) checked.push('skillText');
+
+        const inferred = checked.filter(field => stats.dataSources[field] === DATA_SOURCES.INFERRED);
+        const missing = checked.filter(field => stats.dataSources[field] === DATA_SOURCES.MISSING || stats[field] == null);
+        if (inferred.length || missing.length) {
+            issues.push({ id: card.id, name: card.name, rarity: card.rarity, inferred, missing });
+        }
+    });
+    return { total: cards.length, issues };
+}
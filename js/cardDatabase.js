@@ -0,0 +1,151 @@
+const DB_NAME = 'cnp-battle-arena';
+const STORE_NAME = 'cardPool';
+const RECORD_KEY = 'current';
+// カードデータの正規化方法を変えたら上げる。古い形式のキャッシュは読み込まずに再同期する
+const SCHEMA_VERSION = 1;
+const SNAPSHOT_FORMAT = 'cnp-battle-arena/card-pool';
+
+/**
+ * カードプールの内容からバージョンスタンプを求める（FNV-1a ハッシュ）。
+ * 内容が変わらなければ同じ値になるため、同期で差分があったかの判定に使う。
+ * @param {Object[]} cards - カードデータの配列
+ * @returns {string} 16進数8桁のバージョンスタンプ
+ */
+export function computeCardPoolVersion(cards) {
+    const text = JSON.stringify(cards);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * マージ済みのカードプールをIndexedDBにキャッシュするクラス。
+ * IndexedDBが使えない環境ではメモリ上にのみ保持する。
+ */
+export class CardDatabase {
+    /**
+     * @param {IDBFactory|null} [factory] - 保存先。省略時はindexedDB、使えない環境ではメモリに保持する
+     */
+    constructor(factory = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+        this.factory = factory;
+        this.dbPromise = null;
+        this.memoryRecord = null;
+    }
+
+    /**
+     * データベースを開く。
+     * @returns {Promise<IDBDatabase|null>} データベース。開けない場合はnull
+     */
+    open() {
+        if (!this.factory) return Promise.resolve(null);
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                const request = this.factory.open(DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('カードデータベースを開けませんでした。メモリ上にのみ保持します。', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * キャッシュ済みのカードプールを読み込む。
+     * @returns {Promise<Object|null>} {schemaVersion, version, syncedAt, source, cards}。存在しないか形式が古い場合はnull
+     */
+    async load() {
+        const db = await this.open();
+        let record = this.memoryRecord;
+        if (db) {
+            try {
+                record = await this.request(db, 'readonly', store => store.get(RECORD_KEY));
+            } catch (error) {
+                console.warn('カードデータベースの読み込みに失敗しました。', error);
+                return null;
+            }
+        }
+        if (!record || record.schemaVersion !== SCHEMA_VERSION || !Array.isArray(record.cards)) return null;
+        return record;
+    }
+
+    /**
+     * カードプールを保存する。
+     * @param {Object[]} cards - マージ済みのカードデータ
+     * @param {string} source - データの取得元（'api' または 'import'）
+     * @returns {Promise<Object>} 保存したレコード
+     */
+    async save(cards, source) {
+        const record = {
+            schemaVersion: SCHEMA_VERSION,
+            version: computeCardPoolVersion(cards),
+            syncedAt: new Date().toISOString(),
+            source,
+            cards,
+        };
+        this.memoryRecord = record;
+        const db = await this.open();
+        if (db) {
+            try {
+                await this.request(db, 'readwrite', store => store.put(record, RECORD_KEY));
+            } catch (error) {
+                console.warn('カードデータベースへの保存に失敗しました。', error);
+            }
+        }
+        return record;
+    }
+
+    /**
+     * オブジェクトストアへの要求を1件実行する。
+     * @param {IDBDatabase} db - データベース
+     * @param {IDBTransactionMode} mode - トランザクションのモード
+     * @param {Function} operation - ストアを受け取り IDBRequest を返す関数
+     * @returns {Promise<*>} 要求の結果
+     */
+    request(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 書き出し用のスナップショットを作る。
+     * @param {Object} record - load() または save() で得たレコード
+     * @returns {Object} JSONとして保存できるスナップショット
+     */
+    static toSnapshot(record) {
+        return {
+            format: SNAPSHOT_FORMAT,
+            schemaVersion: SCHEMA_VERSION,
+            version: record.version,
+            syncedAt: record.syncedAt,
+            cards: record.cards,
+        };
+    }
+
+    /**
+     * 読み込んだスナップショットを検証し、カードデータを取り出す。
+     * @param {Object} data - JSON.parse済みのスナップショット
+     * @returns {Object[]} カードデータの配列
+     * @throws {Error} 形式が正しくない場合
+     */
+    static fromSnapshot(data) {
+        if (!data || data.format !== SNAPSHOT_FORMAT) {
+            throw new Error('カードプールのスナップショットではありません。');
+        }
+        if (data.schemaVersion !== SCHEMA_VERSION) {
+            throw new Error(`対応していない形式です (schemaVersion: ${data.schemaVersion})。`);
+        }
+        if (!Array.isArray(data.cards) || !data.cards.length || !data.cards.every(card => card && card.id && card.name)) {
+            throw new Error('カードデータが含まれていないか、形式が正しくありません。');
+        }
+        return data.cards;
+    }
+}
@@ -0,0 +1,164 @@
+import { CARD_FETCH } from './constants.js';
+
+const REQUEST_OPTIONS = {
+    headers: { "accept": "application/json, text/plain, */*" },
+    method: "GET",
+    mode: "cors"
+};
+
+/**
+ * カードAPIのページを並列数を制限して取得するクラス。
+ * 失敗したページは待機時間を倍にしながら再試行し、それでも取れなかったページを除いた結果を返す。
+ */
+export class CardFetcher {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.fetch] - fetch互換の関数。テストではモックを渡す
+     * @param {number} [options.concurrency] - 同時に取得するページ数
+     * @param {number} [options.retries] - 1ページあたりの再試行回数
+     * @param {number} [options.retryDelay] - 最初の再試行までの待機時間（ミリ秒）。以降は倍になる
+     * @param {Function} [options.onProgress] - 1ページ終わるごとに {loaded, failed, total, finished} を受け取る関数。
+     *   進捗は fetchPages() / fetchPaginated() の呼び出しごとに数え直す。fetchPaginated() では最後のページが分かるまで total は null
+     */
+    constructor({
+        fetch: fetchImpl = (...args) => fetch(...args),
+        concurrency = CARD_FETCH.CONCURRENCY,
+        retries = CARD_FETCH.RETRIES,
+        retryDelay = CARD_FETCH.RETRY_DELAY,
+        onProgress = null,
+    } = {}) {
+        this.fetch = fetchImpl;
+        this.concurrency = Math.max(1, concurrency);
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.onProgress = onProgress;
+        this.progress = { loaded: 0, failed: 0, total: 0, finished: false };
+    }
+
+    /**
+     * 1ページを取得する。失敗した場合は再試行する。
+     * @param {string} url - ページのURL
+     * @returns {Promise<Object[]>} ページに含まれるカード
+     * @throws {Error} 再試行しても取得できなかった場合
+     */
+    async fetchPage(url) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await this.fetch(url, REQUEST_OPTIONS);
+                if (!response.ok) throw new Error(`カードデータ取得に失敗しました (${response.status}): ${url}`);
+                const data = await response.json();
+                if (!data || !Array.isArray(data.cards)) throw new Error(`カードデータの形式が正しくありません: ${url}`);
+                return data.cards;
+            } catch (error) {
+                if (attempt >= this.retries) throw error;
+                const wait = this.retryDelay * 2 ** attempt;
+                console.warn(`${url} の取得に失敗しました。${wait}ms後に再試行します (${attempt + 1}/${this.retries})。`, error.message);
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+        }
+    }
+
+    /**
+     * 複数のページを並列数を制限して取得する。失敗したページがあっても取得できた分は返す。
+     * @param {string[]} urls - ページのURL
+     * @returns {Promise<{cards: Object[], pages: (Object[]|null)[], failedUrls: string[]}>} IDで重複を除いたカード、ページごとの結果（失敗はnull）、失敗したURL
+     */
+    async fetchPages(urls) {
+        this.startProgress(urls.length);
+        const result = await this.fetchBatch(urls);
+        this.finishProgress();
+        return result;
+    }
+
+    /**
+     * fetchPages() の本体。進捗の開始・終了は呼び出し側で報告する。
+     * @param {string[]} urls - ページのURL
+     * @returns {Promise<{cards: Object[], pages: (Object[]|null)[], failedUrls: string[]}>} fetchPages() と同じ
+     */
+    async fetchBatch(urls) {
+        const pages = new Array(urls.length).fill(null);
+        const failedUrls = [];
+        let next = 0;
+        const worker = async () => {
+            while (next < urls.length) {
+                const index = next++;
+                try {
+                    pages[index] = await this.fetchPage(urls[index]);
+                    this.progress.loaded++;
+                } catch (error) {
+                    console.warn(error.message);
+                    failedUrls.push(urls[index]);
+                    this.progress.failed++;
+                }
+                this.reportProgress();
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, urls.length) }, worker));
+
+        return { cards: CardFetcher.mergeCards(pages), pages, failedUrls };
+    }
+
+    /**
+     * limit/offset形式のAPIを、件数がlimitに満たないページが現れるまで取得する。
+     * 総数が分からないため、並列数と同じページ数ずつまとめて取得する。
+     * @param {string} baseUrl - APIのURL（クエリなし）
+     * @param {number} [limit] - 1ページあたりの件数
+     * @returns {Promise<{cards: Object[], failedUrls: string[]}>} IDで重複を除いたカードと失敗したURL
+     */
+    async fetchPaginated(baseUrl, limit = CARD_FETCH.PAGE_SIZE) {
+        const allPages = [];
+        const failedUrls = [];
+        this.startProgress(null);
+        for (let offset = 0; ; offset += limit * this.concurrency) {
+            const urls = Array.from({ length: this.concurrency }, (_, i) => `${baseUrl}?limit=${limit}&offset=${offset + i * limit}&sort=newest`);
+            const result = await this.fetchBatch(urls);
+            allPages.push(...result.pages);
+            failedUrls.push(...result.failedUrls);
+
+            const succeeded = result.pages.filter(page => page !== null);
+            // 全ページ失敗したか、最後まで到達したら終了する
+            if (!succeeded.length || succeeded.some(page => page.length < limit)) break;
+        }
+        this.progress.total = allPages.length;
+        this.finishProgress();
+        return { cards: CardFetcher.mergeCards(allPages), failedUrls };
+    }
+
+    /**
+     * 取得の開始を報告する。前回の取得の進捗は数え直す。
+     * @param {number|null} total - 取得するページ数。分からない場合はnull
+     */
+    startProgress(total) {
+        this.progress = { loaded: 0, failed: 0, total, finished: false };
+        this.reportProgress();
+    }
+
+    /**
+     * 取得の終了を報告する。
+     */
+    finishProgress() {
+        this.progress.finished = true;
+        this.reportProgress();
+    }
+
+    reportProgress() {
+        if (this.onProgress) this.onProgress({ ...this.progress });
+    }
+
+    /**
+     * ページごとの結果を順に連結し、IDが重複するカードを除く。
+     * @param {(Object[]|null)[]} pages - ページごとのカード。失敗したページはnull
+     * @returns {Object[]} カードデータの配列
+     */
+    static mergeCards(pages) {
+        const merged = [];
+        const seen = new Set();
+        pages.forEach(page => (page || []).forEach(card => {
+            if (!seen.has(card.id)) {
+                seen.add(card.id);
+                merged.push(card);
+            }
+        }));
+        return merged;
+    }
+}
@@ -1,14 +1,8 @@
 /**
  * ゲーム全体で使用する定数を定義します。
+ * 拠点の数やターン数などの試合ごとに変えられるルールは ruleManager.js で定義します。
  */
 export const CONFIG = {
-    // ゲーム設定
-    NUM_BASES: 3,           // 拠点の数
-    GAUGE_PER_BASE: 2,      // 拠点ごとのゲージの数
-    INITIAL_HAND_SIZE: 5,   // 初期手札の枚数
-    MAX_REIKI: 10,          // 最大レイキ
-    MAX_TURNS: 50,          // 最大ターン数
-
     // AIの思考遅延（ミリ秒）
     AI_THINKING_TIME: 500,
 
@@ -16,10 +10,32 @@ export const CONFIG = {
     PLACEHOLDER_IMG: "https://placehold.co/100x140/030712/f9fafb?text=CNP",
 };
 
+/**
+ * デッキ構築のルールを定義します。
+ */
+export const DECK_RULES = {
+    MIN_MAIN_DECK_SIZE: 20,   // メインデッキの最小枚数
+    MAX_MAIN_DECK_SIZE: 50,   // メインデッキの最大枚数
+    MAX_COPIES_PER_CARD: 4,   // 同名カードの最大枚数
+    MAX_REIKI_DECK_SIZE: 15,  // レイキデッキの最大枚数
+};
+
+/**
+ * カードAPIからの取得設定を定義します。
+ */
+export const CARD_FETCH = {
+    API_URL: 'https://app.cnptcg.monolithos.co.jp/api/cards', // card_sources.json が使えない場合に巡回するAPI
+    PAGE_SIZE: 100,     // 巡回時の1ページあたりの件数
+    CONCURRENCY: 4,     // 同時に取得するページ数
+    RETRIES: 3,         // 1ページあたりの再試行回数
+    RETRY_DELAY: 500,   // 最初の再試行までの待機時間（ミリ秒）。以降は倍になる
+};
+
 /**
  * ゲームのフェーズを定義します。
  */
 export const PHASES = {
+    SETUP: 'setup',     // 試合開始前の準備（先攻の決定とマリガン）
     START: 'start',
     MAIN: 'main',
     BATTLE: 'battle',
@@ -35,3 +51,58 @@ export const CARD_TYPES = {
     SUPPORT: 'support',
     REIKI: 'reiki',
 };
+
+/**
+ * スキルが発動するタイミングを定義します。
+ */
+export const TRIGGERS = {
+    ON_PLAY: 'onPlay',                      // 場に出したとき・イベントを使用したとき
+    ON_ATTACK: 'onAttack',                  // 攻撃したとき
+    ON_DEFEND: 'onDefend',                  // 攻撃されたとき（バトルの前）
+    ON_DESTROYED: 'onDestroyed',            // 場から破壊されたとき
+    ON_TURN_START: 'onTurnStart',           // 自分のターンの開始時（ドローの後）
+    ON_TURN_END: 'onTurnEnd',               // 自分のターンの終了時
+    ON_BASE_CONQUERED: 'onBaseConquered',   // 自分が拠点を制圧したとき
+    STATIC: 'static',                       // 場にある間、常に適用される（オーラ）
+    COUNTER: 'counter',                     // 相手の攻撃への応答として手札から使う（カウンターイベント）
+    ON_GAUGE: 'onGauge',                    // 拠点のゲージとして破壊され、公開されたとき（gaugeSkill）
+};
+
+/**
+ * エンジンのイベントバスで通知するイベントを定義します。
+ */
+export const GAME_EVENTS = {
+    CARD_DESTROYED: 'cardDestroyed',
+    TURN_START: 'turnStart',
+    TURN_END: 'turnEnd',
+    BASE_CONQUERED: 'baseConquered',
+};
+
+/**
+ * じゃんけんの手と表示名を定義します。
+ */
+export const RPS_HANDS = {
+    rock: 'グー',
+    scissors: 'チョキ',
+    paper: 'パー',
+};
+
+/**
+ * 試合が終わった理由を定義します。
+ */
+export const GAME_END_REASONS = {
+    BASES: 'bases',                         // 必要な数の拠点を制圧した
+    DECK_OUT: 'deckOut',                    // 相手がデッキ切れでカードを引けなかった
+    TIEBREAK: 'tiebreak',                   // 最大ターンに達し、判定で勝った
+    MAX_TURNS: 'maxTurns',                  // 最大ターンに達し、判定でも差がつかなかった（引き分け）
+};
+
+/**
+ * BP修正の持続期間を定義します。
+ */
+export const MODIFIER_DURATIONS = {
+    TURN: 'turn',                           // そのターンの終了時まで
+    UNTIL_NEXT_TURN: 'untilNextTurn',       // 効果を使ったプレイヤーの次のターンの開始時まで
+    PERMANENT: 'permanent',                 // ずっと
+    WHILE_ON_FIELD: 'whileOnField',         // 効果の発生源のカードが場にある間
+};
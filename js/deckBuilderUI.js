@@ -0,0 +1,197 @@
+import { CONFIG, CARD_TYPES } from './constants.js';
+import { DeckManager } from './deckManager.js';
+import { deriveCardStats, buildCardDataReport } from './cardData.js';
+
+/**
+ * デッキ構築画面のDOM操作を担当するクラス。
+ */
+export class DeckBuilderUI {
+    constructor(engine, ui) {
+        this.engine = engine;
+        this.ui = ui;
+        this.cardPool = [];
+        this.deck = this.createEmptyDeck();
+        this.init();
+    }
+
+    /**
+     * イベントリスナーを初期化する。
+     */
+    init() {
+        document.getElementById('open-deck-builder-btn').onclick = () => this.open();
+        document.getElementById('deck-builder-close-btn').onclick = () => this.close();
+        document.getElementById('deck-save-btn').onclick = () => this.save();
+        document.getElementById('deck-delete-btn').onclick = () => this.delete();
+        document.getElementById('card-data-report-btn').onclick = () => this.showCardDataReport();
+        document.getElementById('deck-builder-load-select').onchange = e => this.loadDeck(e.target.value);
+        document.getElementById('deck-name-input').oninput = e => {
+            this.deck.name = e.target.value;
+            this.render();
+        };
+
+        document.getElementById('deck-builder-pool').addEventListener('click', e => {
+            const cardEl = e.target.closest('[data-card-id]');
+            if (cardEl) this.addCard(cardEl.dataset.cardId);
+        });
+        document.getElementById('deck-builder-list').addEventListener('click', e => {
+            const buttonEl = e.target.closest('[data-remove-id]');
+            if (buttonEl) this.removeCard(buttonEl.dataset.removeId);
+        });
+    }
+
+    createEmptyDeck() {
+        return { name: '', main: [], reiki: [] };
+    }
+
+    /**
+     * カードプールを読み込んでデッキ構築画面を開く。
+     */
+    async open() {
+        this.cardPool = await this.engine.getCardPool();
+        document.getElementById('deck-builder-screen').classList.remove('hidden');
+        this.renderPool();
+        this.renderLoadSelect();
+        this.render();
+    }
+
+    close() {
+        document.getElementById('deck-builder-screen').classList.add('hidden');
+        this.ui.renderDeckSelects();
+    }
+
+    /**
+     * カードの種類に応じてメインデッキかレイキデッキのどちらかの枠を返す。
+     * @param {string} cardId - カードID
+     * @returns {Object[]} デッキ内のエントリ配列
+     */
+    getSection(cardId) {
+        const card = this.cardPool.find(c => c.id === cardId);
+        return deriveCardStats(card).type === CARD_TYPES.REIKI ? this.deck.reiki : this.deck.main;
+    }
+
+    addCard(cardId) {
+        const section = this.getSection(cardId);
+        const entry = section.find(e => e.id === cardId);
+        if (entry) entry.count++;
+        else section.push({ id: cardId, count: 1 });
+        this.render();
+    }
+
+    removeCard(cardId) {
+        const section = this.getSection(cardId);
+        const index = section.findIndex(e => e.id === cardId);
+        if (index === -1) return;
+        section[index].count--;
+        if (section[index].count <= 0) section.splice(index, 1);
+        this.render();
+    }
+
+    loadDeck(name) {
+        const deck = name ? this.engine.deckManager.getDeck(name) : null;
+        this.deck = deck ? structuredClone(deck) : this.createEmptyDeck();
+        document.getElementById('deck-name-input').value = this.deck.name;
+        this.render();
+    }
+
+    save() {
+        const { valid } = DeckManager.validateDeck(this.deck, this.cardPool);
+        if (!valid) return;
+        this.deck.name = this.deck.name.trim();
+        this.engine.deckManager.saveDeck(structuredClone(this.deck));
+        this.renderLoadSelect(this.deck.name);
+    }
+
+    delete() {
+        if (!this.deck.name) return;
+        this.engine.deckManager.deleteDeck(this.deck.name);
+        this.loadDeck('');
+        this.renderLoadSelect();
+    }
+
+    /**
+     * 値が推測または欠落しているカードの一覧をモーダルで表示する。
+     */
+    showCardDataReport() {
+        const { total, issues } = buildCardDataReport(this.cardPool);
+        const lines = issues.map(issue => {
+            const parts = [];
+            if (issue.missing.length) parts.push(`欠落: ${issue.missing.join(', ')}`);
+            if (issue.inferred.length) parts.push(`推測: ${issue.inferred.join(', ')}`);
+            return `${issue.name} (${issue.rarity}) … ${parts.join(' / ')}`;
+        });
+        const text = issues.length
+            ? `${total}枚中${issues.length}枚に推測または欠落した値があります。\n\n${lines.join('\n')}`
+            : `${total}枚すべての値が揃っています。`;
+        this.ui.showModal('データ検証', text, [{ text: '閉じる', callback: () => this.ui.hideModal() }]);
+    }
+
+    /**
+     * カードプールの一覧を描画する。
+     */
+    renderPool() {
+        const poolEl = document.getElementById('deck-builder-pool');
+        poolEl.innerHTML = '';
+        this.cardPool.forEach(card => {
+            const { bp, cost, imageUrl } = deriveCardStats(card);
+            const el = document.createElement('div');
+            el.className = 'card deck-builder-card';
+            el.dataset.cardId = card.id;
+            el.innerHTML = `<div class="card-overlay-text text-white"><p class="font-bold truncate">${card.name}</p><p class="text-gray-400">${card.rarity} / C${cost}</p><p class="text-amber-300">BP: ${bp}</p></div>`;
+            const img = document.createElement('img');
+            img.src = imageUrl;
+            img.className = 'card-inner';
+            img.alt = card.name;
+            img.draggable = false;
+            img.onerror = (e) => { e.target.src = CONFIG.PLACEHOLDER_IMG; };
+            el.prepend(img);
+            poolEl.appendChild(el);
+        });
+    }
+
+    renderLoadSelect(selectedName = '') {
+        const selectEl = document.getElementById('deck-builder-load-select');
+        selectEl.innerHTML = '<option value="">新しいデッキ</option>';
+        this.engine.deckManager.loadDecks().forEach(deck => {
+            const option = document.createElement('option');
+            option.value = deck.name;
+            option.textContent = deck.name;
+            selectEl.appendChild(option);
+        });
+        selectEl.value = selectedName;
+    }
+
+    /**
+     * 編集中のデッキリストと検証結果を描画する。
+     */
+    render() {
+        const { valid, errors, mainCount, reikiCount } = DeckManager.validateDeck(this.deck, this.cardPool);
+        const cardsById = new Map(this.cardPool.map(card => [card.id, card]));
+
+        const listEl = document.getElementById('deck-builder-list');
+        listEl.innerHTML = '';
+        [['MAIN', this.deck.main], ['REIKI', this.deck.reiki]].forEach(([label, entries]) => {
+            const headerEl = document.createElement('p');
+            headerEl.className = 'font-orbitron text-gray-400 mt-2';
+            headerEl.textContent = label;
+            listEl.appendChild(headerEl);
+            entries.forEach(({ id, count }) => {
+                const card = cardsById.get(id);
+                const rowEl = document.createElement('div');
+                rowEl.className = 'flex justify-between items-center bg-gray-800 rounded px-2 py-1';
+                rowEl.innerHTML = `<span class="truncate">${card ? `${card.name} (${card.rarity})` : id}</span><span class="flex items-center gap-2"><span class="font-orbitron">×${count}</span><button class="action-button bg-gray-600 hover:bg-gray-500 rounded px-2" data-remove-id="${id}">−</button></span>`;
+                listEl.appendChild(rowEl);
+            });
+        });
+
+        document.getElementById('deck-builder-summary').textContent = `メイン ${mainCount}枚 / レイキ ${reikiCount}枚`;
+        const errorsEl = document.getElementById('deck-builder-errors');
+        errorsEl.innerHTML = '';
+        errors.forEach(message => {
+            const li = document.createElement('li');
+            li.textContent = message;
+            errorsEl.appendChild(li);
+        });
+        document.getElementById('deck-save-btn').disabled = !valid;
+        document.getElementById('deck-delete-btn').disabled = !this.engine.deckManager.getDeck(this.deck.name);
+    }
+}
@@ -0,0 +1,153 @@
+import { CARD_TYPES, DECK_RULES } from './constants.js';
+import { getCardType } from './cardData.js';
+
+const STORAGE_KEY = 'cnp-battle-arena:decks';
+
+/**
+ * デッキの保存・読み込み・検証を担当するクラス。
+ *
+ * デッキは次の形式で扱う。
+ * { name: string, main: [{ id: string, count: number }], reiki: [{ id: string, count: number }] }
+ */
+export class DeckManager {
+    /**
+     * @param {Storage|null} [storage] - 保存先。省略時はlocalStorage、使えない環境ではメモリ上に保持する
+     */
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.memoryDecks = [];
+    }
+
+    /**
+     * 保存済みのデッキを全て読み込む。
+     * @returns {Object[]} デッキの配列
+     */
+    loadDecks() {
+        if (!this.storage) return this.memoryDecks;
+        try {
+            return JSON.parse(this.storage.getItem(STORAGE_KEY)) || [];
+        } catch (error) {
+            console.warn('保存済みデッキの読み込みに失敗しました。', error);
+            return [];
+        }
+    }
+
+    /**
+     * 名前でデッキを取得する。
+     * @param {string} name - デッキ名
+     * @returns {Object|null} デッキ
+     */
+    getDeck(name) {
+        return this.loadDecks().find(deck => deck.name === name) || null;
+    }
+
+    /**
+     * デッキを保存する。同名のデッキがあれば上書きする。
+     * @param {Object} deck - 保存するデッキ
+     */
+    saveDeck(deck) {
+        const decks = this.loadDecks().filter(d => d.name !== deck.name);
+        decks.push(deck);
+        this.writeDecks(decks);
+    }
+
+    /**
+     * デッキを削除する。
+     * @param {string} name - デッキ名
+     */
+    deleteDeck(name) {
+        this.writeDecks(this.loadDecks().filter(d => d.name !== name));
+    }
+
+    writeDecks(decks) {
+        if (!this.storage) {
+            this.memoryDecks = decks;
+            return;
+        }
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(decks));
+    }
+
+    /**
+     * デッキが構築ルールを満たしているか検証する。
+     * 同名カードの枚数制限はレアリティ違いも合算して数える。
+     * @param {Object} deck - 検証するデッキ
+     * @param {Object[]} cardPool - 使用可能な全カードのデータ
+     * @returns {{valid: boolean, errors: string[], mainCount: number, reikiCount: number}} 検証結果
+     */
+    static validateDeck(deck, cardPool) {
+        const errors = [];
+        const cardsById = new Map(cardPool.map(card => [card.id, card]));
+        const copiesByName = new Map();
+        let mainCount = 0;
+        let reikiCount = 0;
+
+        if (typeof deck.name !== 'string' || !deck.name.trim()) errors.push('デッキ名を入力してください。');
+        // 読み込んだデッキファイルの負の枚数などで合計や枚数制限の検証をすり抜けないよう、枚数は正の整数に限る
+        const hasValidCount = (card, count) => {
+            if (Number.isInteger(count) && count > 0) return true;
+            errors.push(`「${card.name}」の枚数が正しくありません: ${count}`);
+            return false;
+        };
+
+        (deck.main || []).forEach(({ id, count }) => {
+            const card = cardsById.get(id);
+            if (!card) {
+                errors.push(`存在しないカードが含まれています: ${id}`);
+                return;
+            }
+            if (getCardType(card) === CARD_TYPES.REIKI) {
+                errors.push(`「${card.name}」はレイキデッキに入れてください。`);
+                return;
+            }
+            if (!hasValidCount(card, count)) return;
+            mainCount += count;
+            copiesByName.set(card.name, (copiesByName.get(card.name) || 0) + count);
+        });
+
+        (deck.reiki || []).forEach(({ id, count }) => {
+            const card = cardsById.get(id);
+            if (!card) {
+                errors.push(`存在しないカードが含まれています: ${id}`);
+                return;
+            }
+            if (getCardType(card) !== CARD_TYPES.REIKI) {
+                errors.push(`「${card.name}」はレイキカードではありません。`);
+                return;
+            }
+            if (!hasValidCount(card, count)) return;
+            reikiCount += count;
+        });
+
+        copiesByName.forEach((count, name) => {
+            if (count > DECK_RULES.MAX_COPIES_PER_CARD) {
+                errors.push(`「${name}」は${DECK_RULES.MAX_COPIES_PER_CARD}枚までです（現在${count}枚）。`);
+            }
+        });
+        if (mainCount < DECK_RULES.MIN_MAIN_DECK_SIZE) {
+            errors.push(`メインデッキは${DECK_RULES.MIN_MAIN_DECK_SIZE}枚以上必要です（現在${mainCount}枚）。`);
+        }
+        if (mainCount > DECK_RULES.MAX_MAIN_DECK_SIZE) {
+            errors.push(`メインデッキは${DECK_RULES.MAX_MAIN_DECK_SIZE}枚までです（現在${mainCount}枚）。`);
+        }
+        if (reikiCount > DECK_RULES.MAX_REIKI_DECK_SIZE) {
+            errors.push(`レイキデッキは${DECK_RULES.MAX_REIKI_DECK_SIZE}枚までです（現在${reikiCount}枚）。`);
+        }
+
+        return { valid: errors.length === 0, errors, mainCount, reikiCount };
+    }
+
+    /**
+     * デッキの枚数指定を展開し、カードデータの配列にする。
+     * @param {Object} deck - 展開するデッキ
+     * @param {Object[]} cardPool - 使用可能な全カードのデータ
+     * @returns {{main: Object[], reiki: Object[]}} 展開後のカードデータ（同じカードは枚数分複製される）
+     */
+    static expandDeck(deck, cardPool) {
+        const cardsById = new Map(cardPool.map(card => [card.id, card]));
+        const expand = entries => (entries || []).flatMap(({ id, count }) => {
+            const card = cardsById.get(id);
+            return card ? Array(count).fill(card) : [];
+        });
+        return { main: expand(deck.main), reiki: expand(deck.reiki) };
+    }
+}
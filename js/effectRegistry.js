@@ -1,203 +1,358 @@
-import { CARD_TYPES } from './constants.js';
+import { CARD_TYPES, MODIFIER_DURATIONS } from './constants.js';
+import { addModifier } from './bpModifiers.js';
+import { gainReiki } from './reiki.js';
+
+const FIELD_SLOTS = ['vanguard1', 'vanguard2', 'rearguard1', 'rearguard2', 'support'];
+const UNIT_SLOTS = ['vanguard1', 'vanguard2', 'rearguard1', 'rearguard2'];
+
+/**
+ * 旧形式のスキル（action + value/options）をスキル記述（DSL）に変換する定義。
+ * data/cards.json は新形式で書かれているが、API由来など旧形式のデータもこの変換で動作する。
+ */
+const LEGACY_ACTIONS = {
+    draw: skill => [{ op: 'draw', amount: skill.value || 1 }],
+    gainReiki: skill => [{ op: 'gainReiki', amount: skill.value || 1 }],
+    destroyWeakestOpponentUnit: () => [
+        { op: 'destroy', target: { side: 'opponent', zone: 'field', filter: { type: CARD_TYPES.UNIT }, pick: 'weakest' } },
+    ],
+    buffAllAllyUnits: skill => [
+        { op: 'buff', amount: skill.value || 300, target: { side: 'self', zone: 'field', filter: { type: CARD_TYPES.UNIT }, pick: 'all' } },
+    ],
+    buffSelf: skill => [{ op: 'buff', amount: skill.value || 500, target: { zone: 'source' } }],
+    restOpponentUnit: skill => [
+        { op: 'rest', target: { side: 'opponent', zone: 'field', filter: { type: CARD_TYPES.UNIT, rested: false }, pick: skill.options?.target || 'strongest' } },
+    ],
+    returnUnitToHand: skill => [
+        { op: 'bounce', target: { side: 'opponent', zone: 'field', filter: { type: CARD_TYPES.UNIT }, pick: skill.options?.target || 'strongest' } },
+    ],
+    searchAndPlay: skill => skill.options?.cardName ? [
+        { op: 'summon', slots: ['rearguard1', 'rearguard2'], target: { side: 'self', zone: 'deck', filter: { name: skill.options.cardName }, pick: 'first' } },
+    ] : [],
+    reviveFromTrash: skill => [
+        { op: 'summon', slots: UNIT_SLOTS, target: { side: 'self', zone: 'trash', filter: { type: CARD_TYPES.UNIT, maxCost: skill.options?.maxCost, tribe: skill.options?.tribe }, pick: 'strongest' } },
+    ],
+    discardAndDraw: skill => [
+        { op: 'discard', target: { side: 'self', zone: 'hand', pick: 'chosen', count: skill.value || 1 } },
+        { op: 'draw', amount: 'lastCount' },
+    ],
+};
 
 /**
- * カードのスキル効果を定義し、管理するクラス。
+ * カードのスキルを解釈して実行するクラス。
+ *
+ * スキルは { trigger, effects: [効果, ...], condition? } の形式で記述する。
+ * trigger は TRIGGERS のいずれか（onPlay / onAttack / onDefend / onDestroyed / onTurnStart / onTurnEnd / onBaseConquered / static / counter）。
+ * 'static' のスキルは発動せず、場にある間だけ buff の効果を常時効果として掛け続ける（getStaticModifiers）。
+ * カードの gaugeSkill には trigger: 'onGauge' のスキルを書き、拠点のゲージとして破壊されたときに拠点の持ち主が発動する。
+ * ゲージのカードは場にないため、gaugeSkill では zone: 'source' を使わない。
+ * 効果は次の要素からなる。
+ * - op: 操作。destroy / rest / bounce / buff / draw / gainReiki / discard / summon
+ * - target: 対象の選び方（操作が対象を取る場合）
+ *   - side: 'self' | 'opponent' | 'both'（既定は 'self'）
+ *   - zone: 'field' | 'hand' | 'trash' | 'deck' | 'source'（'source' はスキルを持つカード自身）
+ *   - filter: { type, tribe, name, minCost, maxCost, minBp, maxBp, rested }
+ *   - pick: 'strongest' | 'weakest' | 'first' | 'all' | 'chosen'（'chosen' は発動したプレイヤーが選ぶ）
+ *   - count: 選ぶ枚数（既定は1）
+ * - amount: 数値。'lastCount' を指定すると直前の効果で処理した枚数になる
+ * - duration: buff の持続。MODIFIER_DURATIONS のいずれか
+ *   'turn'（ターン終了時まで、既定）| 'untilNextTurn'（発動したプレイヤーの次のターン開始時まで）| 'permanent' | 'whileOnField'（スキルを持つカードが場にある間）
+ * - slots: summon で配置できるスロット
+ * - condition: { count: 対象の選び方, min?, max? } 条件を満たさない効果は飛ばす
  */
 export class EffectRegistry {
     constructor(engine) {
         this.engine = engine;
-        this.effects = {
+        this.operations = {
             /**
-             * 指定枚数カードを引く。
-             * @param {number} playerIndex - 実行するプレイヤー
-             * @param {Object} card - スキルを持つカード
+             * 対象をトラッシュに送る。
+             * @param {Object[]} targets - 選ばれた対象
              */
-            draw: (playerIndex, card) => {
-                this.engine.drawCards(playerIndex, card.skill.value || 1);
+            destroy: (context, effect, targets) => {
+                targets.forEach(target => this.moveToZone(target, 'trash'));
+                return targets.length;
             },
 
             /**
-             * 指定量レイキを獲得する。
-             * @param {number} playerIndex - 実行するプレイヤー
-             * @param {Object} card - スキルを持つカード
+             * 対象をレスト（行動済み）状態にする。
+             * @param {Object[]} targets - 選ばれた対象
              */
-            gainReiki: (playerIndex, card) => {
-                const player = this.engine.state.players[playerIndex];
-                player.reiki = Math.min(player.maxReiki, player.reiki + (card.skill.value || 1));
+            rest: (context, effect, targets) => {
+                targets.forEach(({ card }) => { card.rested = true; });
+                return targets.length;
             },
 
             /**
-             * 相手の最もBPが低いユニットを破壊する。
-             * @param {number} playerIndex - 実行するプレイヤー
+             * 対象を持ち主の手札に戻す。
+             * @param {Object[]} targets - 選ばれた対象
              */
-            destroyWeakestOpponentUnit: (playerIndex) => {
-                const opponentIndex = (playerIndex + 1) % 2;
-                const opponent = this.engine.state.players[opponentIndex];
-                const units = Object.entries(opponent.field).filter(([,c]) => c && c.type === CARD_TYPES.UNIT);
-                if (units.length > 0) {
-                    units.sort(([, a], [, b]) => a.bp - b.bp);
-                    const targetSlot = units[0][0];
-                    this.engine.sendToTrash(opponentIndex, targetSlot);
-                }
+            bounce: (context, effect, targets) => {
+                targets.forEach(target => this.moveToZone(target, 'hand'));
+                return targets.length;
             },
 
             /**
-             * 味方の全ユニットのBPを強化する。
-             * @param {number} playerIndex - 実行するプレイヤー
-             * @param {Object} card - スキルを持つカード
+             * 対象にBPの修正を加える。修正は duration の期間が過ぎると取り除かれる。
+             * @param {Object[]} targets - 選ばれた対象
              */
-            buffAllAllyUnits: (playerIndex, card) => {
-                const player = this.engine.state.players[playerIndex];
-                Object.values(player.field).forEach(unit => {
-                    if (unit && unit.type === CARD_TYPES.UNIT) {
-                        unit.bp += card.skill.value || 300;
-                    }
-                });
+            buff: (context, effect, targets) => {
+                const amount = this.resolveAmount(context, effect, 0);
+                targets.forEach(({ card }) => addModifier(card, {
+                    sourceUUID: context.card.uuid,
+                    sourceName: context.card.name,
+                    playerIndex: context.playerIndex,
+                    amount,
+                    duration: effect.duration || MODIFIER_DURATIONS.TURN,
+                    turn: this.engine.state.turn,
+                }));
+                return targets.length;
             },
 
             /**
-             * スキル使用者のBPを強化する。
-             * @param {number} playerIndex - 実行するプレイヤー
-             * @param {Object} card - スキルを持つカード
-             * @param {string} sourceSlot - スキル使用者がいるスロット
+             * カードを引く。target.side で引くプレイヤーを指定できる。
              */
-            buffSelf: (playerIndex, card, sourceSlot) => {
-                const player = this.engine.state.players[playerIndex];
-                const selfCard = player.field[sourceSlot];
-                if (selfCard) {
-                    selfCard.bp += card.skill.value || 500;
-                }
+            draw: (context, effect) => {
+                const amount = this.resolveAmount(context, effect, 1);
+                if (amount <= 0) return 0;
+                this.getPlayerIndices(context, effect.target?.side).forEach(index => this.engine.drawCards(index, amount));
+                return amount;
             },
 
             /**
-             * 相手ユニットをレスト（行動済み）状態にする。
-             * @param {number} playerIndex - 実行するプレイヤー
-             * @param {Object} card - スキルを持つカード
+             * レイキを獲得する（最大レイキを超えない）。
              */
-            restOpponentUnit: (playerIndex, card) => {
-                const opponentIndex = (playerIndex + 1) % 2;
-                const opponent = this.engine.state.players[opponentIndex];
-                const targetType = card.skill.options?.target || 'strongest';
-                const units = Object.entries(opponent.field).filter(([,c]) => c && c.type === CARD_TYPES.UNIT && !c.rested);
-                if (units.length > 0) {
-                    if (targetType === 'strongest') {
-                        units.sort(([, a], [, b]) => b.bp - a.bp);
-                    } else { // weakest
-                        units.sort(([, a], [, b]) => a.bp - b.bp);
-                    }
-                    const targetCard = units[0][1];
-                    targetCard.rested = true;
-                }
+            gainReiki: (context, effect) => {
+                const amount = this.resolveAmount(context, effect, 1);
+                this.getPlayerIndices(context, effect.target?.side).forEach(index => gainReiki(this.engine.state.players[index], amount));
+                return amount;
             },
 
             /**
-             * 相手ユニットを手札に戻す。
-             * @param {number} playerIndex - 実行するプレイヤー
-             * @param {Object} card - スキルを持つカード
-             */
-            returnUnitToHand: (playerIndex, card) => {
-                const opponentIndex = (playerIndex + 1) % 2;
-                const opponent = this.engine.state.players[opponentIndex];
-                const targetType = card.skill.options?.target || 'strongest';
-                const units = Object.entries(opponent.field).filter(([,c]) => c && c.type === CARD_TYPES.UNIT);
-                if (units.length > 0) {
-                     if (targetType === 'strongest') {
-                        units.sort(([, a], [, b]) => b.bp - a.bp);
-                    } else {
-                        units.sort(([, a], [, b]) => a.bp - b.bp);
-                    }
-                    const [targetSlot, targetCard] = units[0];
-                    opponent.field[targetSlot] = null;
-                    opponent.hand.push(targetCard);
-                }
-            },
-            
-            /**
-             * デッキから特定のカードを探して場に出す。
-             * @param {number} playerIndex - 実行するプレイヤー
-             * @param {Object} card - スキルを持つカード
+             * 手札の対象をトラッシュに送る。
+             * @param {Object[]} targets - 選ばれた対象
              */
-            searchAndPlay: (playerIndex, card) => {
-                const player = this.engine.state.players[playerIndex];
-                const cardNameToFind = card.skill.options?.cardName;
-                if (!cardNameToFind) return;
-                const cardIndex = player.mainDeck.findIndex(c => c.name === cardNameToFind);
-                if (cardIndex !== -1) {
-                    const foundCard = player.mainDeck.splice(cardIndex, 1)[0];
-                    const emptySlot = Object.keys(player.field).find(slot => !player.field[slot] && slot.includes('rearguard'));
-                    if (emptySlot) {
-                        player.field[emptySlot] = foundCard;
-                    } else {
-                        player.hand.push(foundCard); // 空きがなければ手札へ
-                    }
-                }
+            discard: (context, effect, targets) => {
+                targets.forEach(target => this.moveToZone(target, 'trash'));
+                return targets.length;
             },
 
             /**
-             * トラッシュから条件に合うカードを場に戻す。
-             * @param {number} playerIndex - 実行するプレイヤー
-             * @param {Object} card - スキルを持つカード
+             * 対象を持ち主の空いているスロットに出す。空きがなければ手札に加える。
+             * @param {Object[]} targets - 選ばれた対象
              */
-            reviveFromTrash: (playerIndex, card) => {
-                const player = this.engine.state.players[playerIndex];
-                if (player.trash.length === 0) return;
-                
-                const options = card.skill.options || {};
-                let candidates = player.trash.filter(c => c.type === CARD_TYPES.UNIT);
-
-                if (options.maxCost) {
-                    candidates = candidates.filter(c => c.cost <= options.maxCost);
-                }
-                if (options.tribe) {
-                    candidates = candidates.filter(c => c.tribe === options.tribe);
-                }
-
-                if (candidates.length > 0) {
-                    if (options.target === 'strongest') {
-                        candidates.sort((a, b) => b.bp - a.bp);
-                    } else { // デフォルトは最も強いもの
-                         candidates.sort((a, b) => b.bp - a.bp);
-                    }
-                    const cardToRevive = candidates[0];
-                    player.trash = player.trash.filter(c => c.uuid !== cardToRevive.uuid);
-                    const emptySlot = Object.keys(player.field).find(slot => !player.field[slot] && (slot.includes('vanguard') || slot.includes('rearguard')));
-                    if (emptySlot) {
-                        player.field[emptySlot] = cardToRevive;
-                    } else {
-                        player.hand.push(cardToRevive); // 空きがなければ手札へ
-                    }
-                }
+            summon: (context, effect, targets) => {
+                const slots = effect.slots || UNIT_SLOTS;
+                targets.forEach(target => {
+                    const owner = this.engine.state.players[target.playerIndex];
+                    const emptySlot = slots.find(slot => !owner.field[slot]);
+                    this.moveToZone(target, emptySlot ? 'field' : 'hand', emptySlot);
+                });
+                return targets.length;
             },
+        };
+    }
 
-            /**
-             * 手札を捨ててカードを引く。
-             * @param {number} playerIndex - 実行するプレイヤー
-             * @param {Object} card - スキルを持つカード
-             */
-            discardAndDraw: (playerIndex, card) => {
-                const player = this.engine.state.players[playerIndex];
-                const discardCount = Math.min(player.hand.length, card.skill.value || 1);
-                
-                // AIは単純に弱いカードから捨てる
-                if (!this.engine.isHumanTurn()) {
-                    player.hand.sort((a, b) => a.bp - b.bp);
-                }
-                
-                for (let i = 0; i < discardCount; i++) {
-                    const discardedCard = player.hand.shift(); // 最も弱いカード
-                    player.trash.push(discardedCard);
-                }
-                this.engine.drawCards(playerIndex, discardCount);
+    /**
+     * スキルを旧形式も含めて効果の配列に変換する。
+     * @param {Object} skill - カードのスキル
+     * @returns {Object[]} 効果の配列
+     */
+    getEffects(skill) {
+        if (Array.isArray(skill.effects)) return skill.effects;
+        const legacy = LEGACY_ACTIONS[skill.action];
+        return legacy ? legacy(skill) : [];
+    }
+
+    /**
+     * スキルの表示名を返す。
+     * @param {Object} skill - カードのスキル
+     * @returns {string} 表示名
+     */
+    describe(skill) {
+        return skill.label || skill.action || this.getEffects(skill).map(effect => effect.op).join('+');
+    }
+
+    /**
+     * カードのスキルを実行する。
+     * @param {number} playerIndex - 実行するプレイヤー
+     * @param {Object} card - スキルを持つカード
+     * @param {string|null} sourceSlot - スキル使用者がいるスロット
+     * @param {Object} [skill] - 実行するスキル。省略時はカードのスキル（gaugeSkill を実行するときに指定する）
+     * @returns {Promise<boolean>} 効果を1つでも実行した場合true
+     */
+    async resolve(playerIndex, card, sourceSlot, skill = card.skill) {
+        const context = { playerIndex, card, sourceSlot, lastCount: 0 };
+        if (skill.condition && !this.checkCondition(context, skill.condition)) return false;
+
+        let resolved = false;
+        for (const effect of this.getEffects(skill)) {
+            const operation = this.operations[effect.op];
+            if (!operation) {
+                console.warn(`未定義のスキル操作です: ${effect.op}`);
+                continue;
             }
-        };
+            if (effect.condition && !this.checkCondition(context, effect.condition)) continue;
+            const targets = effect.target && effect.target.zone ? await this.selectTargets(context, effect.target, effect) : [];
+            context.lastCount = operation(context, effect, targets);
+            resolved = true;
+        }
+        return resolved;
+    }
+
+    /**
+     * 条件を満たしているか判定する。
+     * @param {Object} context - 実行中のスキルの情報
+     * @param {{count: Object, min?: number, max?: number}} condition - 条件
+     * @returns {boolean} 条件を満たす場合true
+     */
+    checkCondition(context, condition) {
+        const count = this.findCandidates(context, condition.count || {}).length;
+        if (condition.min !== undefined && count < condition.min) return false;
+        if (condition.max !== undefined && count > condition.max) return false;
+        return true;
+    }
+
+    /**
+     * 選び方に従って対象を決める。
+     * @param {Object} context - 実行中のスキルの情報
+     * @param {Object} selector - 対象の選び方
+     * @param {Object} effect - 実行中の効果
+     * @returns {Promise<Object[]>} 対象の配列 { playerIndex, zone, slot, card }
+     */
+    async selectTargets(context, selector, effect) {
+        const candidates = this.findCandidates(context, selector);
+        if (selector.pick === 'chosen') {
+            return this.engine.chooseTargets(context.playerIndex, candidates, selector.count || 1, effect);
+        }
+        return this.pickTargets(candidates, selector);
+    }
+
+    /**
+     * プレイヤーが選ぶ（'chosen'）以外の選び方で候補から対象を決める。
+     * @param {Object[]} candidates - findCandidates() の結果
+     * @param {Object} selector - 対象の選び方
+     * @returns {Object[]} 対象の配列
+     */
+    pickTargets(candidates, selector) {
+        const count = selector.count || 1;
+        switch (selector.pick) {
+            case 'all':
+                return candidates;
+            case 'strongest':
+                return [...candidates].sort((a, b) => b.card.bp - a.card.bp).slice(0, count);
+            case 'weakest':
+                return [...candidates].sort((a, b) => a.card.bp - b.card.bp).slice(0, count);
+            default:
+                return candidates.slice(0, count);
+        }
+    }
+
+    /**
+     * 常時効果のスキルが現在の盤面で与えるBPの増減を求める。buff 以外の効果は常時効果では扱わない。
+     * @param {number} playerIndex - スキルを持つカードの持ち主
+     * @param {Object} card - スキルを持つカード
+     * @param {string} sourceSlot - スキルを持つカードのスロット
+     * @returns {{card: Object, source: Object, playerIndex: number, amount: number}[]} 対象のカード・発生源・増減量の配列
+     */
+    getStaticModifiers(playerIndex, card, sourceSlot) {
+        const context = { playerIndex, card, sourceSlot, lastCount: 0 };
+        if (card.skill.condition && !this.checkCondition(context, card.skill.condition)) return [];
+        return this.getEffects(card.skill)
+            .filter(effect => effect.op === 'buff' && effect.target && (!effect.condition || this.checkCondition(context, effect.condition)))
+            .flatMap(effect => {
+                const amount = this.resolveAmount(context, effect, 0);
+                // 'chosen' は常時効果では選べないため、先頭から選ぶ
+                const pick = effect.target.pick === 'chosen' ? 'first' : effect.target.pick;
+                return this.pickTargets(this.findCandidates(context, effect.target), { ...effect.target, pick })
+                    .map(target => ({ card: target.card, source: card, playerIndex, amount }));
+            });
+    }
+
+    /**
+     * 選び方の side / zone / filter に合うカードを全て集める。
+     * @param {Object} context - 実行中のスキルの情報
+     * @param {Object} selector - 対象の選び方
+     * @returns {Object[]} 候補の配列 { playerIndex, zone, slot, card }
+     */
+    findCandidates(context, selector) {
+        if (selector.zone === 'source') {
+            const player = this.engine.state.players[context.playerIndex];
+            const card = context.sourceSlot ? player.field[context.sourceSlot] : null;
+            return card ? [{ playerIndex: context.playerIndex, zone: 'field', slot: context.sourceSlot, card }] : [];
+        }
+
+        const candidates = [];
+        this.getPlayerIndices(context, selector.side).forEach(playerIndex => {
+            const player = this.engine.state.players[playerIndex];
+            const zone = selector.zone || 'field';
+            if (zone === 'field') {
+                FIELD_SLOTS.forEach(slot => {
+                    if (player.field[slot]) candidates.push({ playerIndex, zone, slot, card: player.field[slot] });
+                });
+            } else {
+                const cards = zone === 'deck' ? player.mainDeck : player[zone] || [];
+                cards.forEach(card => candidates.push({ playerIndex, zone, slot: null, card }));
+            }
+        });
+        return candidates.filter(({ card }) => this.matchesFilter(card, selector.filter || {}));
+    }
+
+    /**
+     * カードがフィルタ条件に合うか判定する。値が未指定の条件は無視する。
+     * @param {Object} card - 判定するカード
+     * @param {Object} filter - フィルタ条件
+     * @returns {boolean} 条件に合う場合true
+     */
+    matchesFilter(card, filter) {
+        if (filter.type !== undefined && card.type !== filter.type) return false;
+        if (filter.tribe !== undefined && card.tribe !== filter.tribe) return false;
+        if (filter.name !== undefined && card.name !== filter.name) return false;
+        if (filter.minCost !== undefined && card.cost < filter.minCost) return false;
+        if (filter.maxCost !== undefined && card.cost > filter.maxCost) return false;
+        if (filter.minBp !== undefined && card.bp < filter.minBp) return false;
+        if (filter.maxBp !== undefined && card.bp > filter.maxBp) return false;
+        if (filter.rested !== undefined && card.rested !== filter.rested) return false;
+        return true;
     }
 
     /**
-     * 指定されたアクション名の効果関数を取得する。
-     * @param {string} actionName - スキルアクション名
-     * @returns {Function|null} 効果を実装した関数
+     * side の指定から対象となるプレイヤーを求める。
+     * @param {Object} context - 実行中のスキルの情報
+     * @param {string} [side] - 'self' | 'opponent' | 'both'
+     * @returns {number[]} プレイヤーのインデックスの配列
      */
-    getEffect(actionName) {
-        return this.effects[actionName] || null;
+    getPlayerIndices(context, side = 'self') {
+        const opponentIndex = (context.playerIndex + 1) % 2;
+        if (side === 'opponent') return [opponentIndex];
+        if (side === 'both') return [context.playerIndex, opponentIndex];
+        return [context.playerIndex];
+    }
+
+    resolveAmount(context, effect, defaultAmount) {
+        if (effect.amount === 'lastCount') return context.lastCount;
+        return effect.amount ?? defaultAmount;
+    }
+
+    /**
+     * 対象を元の場所から取り除き、持ち主の指定した場所に移す。
+     * @param {Object} target - 対象 { playerIndex, zone, slot, card }
+     * @param {string} destination - 'trash' | 'hand' | 'field'
+     * @param {string} [slot] - destination が 'field' の場合のスロット
+     */
+    moveToZone(target, destination, slot) {
+        const player = this.engine.state.players[target.playerIndex];
+        if (target.zone === 'field') {
+            if (destination === 'trash') {
+                this.engine.sendToTrash(target.playerIndex, target.slot);
+                return;
+            }
+            this.engine.leaveField(target.playerIndex, target.slot);
+        } else {
+            const cards = target.zone === 'deck' ? player.mainDeck : player[target.zone];
+            const index = cards.findIndex(c => c.uuid === target.card.uuid);
+            if (index !== -1) cards.splice(index, 1);
+        }
+
+        if (destination === 'field') player.field[slot] = target.card;
+        else player[destination].push(target.card);
     }
 }
@@ -0,0 +1,72 @@
+/**
+ * ゲーム中の出来事（カードの破壊、ターンの開始など）を購読者に通知するイベントバス。
+ * 同期的な処理の途中で起きた出来事は enqueue() で積んでおき、処理が一段落したところで flush() で通知する。
+ */
+export class EventBus {
+    constructor() {
+        this.handlers = new Map();
+        this.queue = [];
+        this.flushing = false;
+    }
+
+    /**
+     * イベントの購読を登録する。
+     * @param {string} event - イベント名
+     * @param {Function} handler - payloadを受け取る関数。Promiseを返した場合は完了を待つ
+     * @returns {Function} 購読を解除する関数
+     */
+    on(event, handler) {
+        if (!this.handlers.has(event)) this.handlers.set(event, []);
+        this.handlers.get(event).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        const handlers = this.handlers.get(event);
+        if (handlers) this.handlers.set(event, handlers.filter(h => h !== handler));
+    }
+
+    /**
+     * イベントを購読者に順番に通知する。
+     * @param {string} event - イベント名
+     * @param {Object} [payload] - イベントの内容
+     */
+    async emit(event, payload = {}) {
+        for (const handler of [...(this.handlers.get(event) || [])]) {
+            await handler(payload);
+        }
+    }
+
+    /**
+     * イベントを積んでおき、次の flush() で通知する。
+     * @param {string} event - イベント名
+     * @param {Object} [payload] - イベントの内容
+     */
+    enqueue(event, payload = {}) {
+        this.queue.push({ event, payload });
+    }
+
+    /**
+     * 積まれたイベントを古い順に通知する。通知中に積まれたイベントも続けて通知する。
+     * 通知の途中で呼ばれた場合は何もしない（外側の flush() が続きを通知する）。
+     */
+    async flush() {
+        if (this.flushing) return;
+        this.flushing = true;
+        try {
+            while (this.queue.length) {
+                const { event, payload } = this.queue.shift();
+                await this.emit(event, payload);
+            }
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    /**
+     * 積まれたイベントを通知せずに捨てる。
+     */
+    clear() {
+        this.queue = [];
+    }
+}
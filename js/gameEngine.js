@@ -1,19 +1,71 @@
-import { UIManager } from './uiManager.js';
-import { AIAgent } from './aiAgent.js';
+import { NullUI } from './uiAdapters.js';
+import { AIAgent, DEFAULT_AI_DIFFICULTY } from './aiAgent.js';
 import { EffectRegistry } from './effectRegistry.js';
-import { CONFIG, PHASES, CARD_TYPES } from './constants.js';
+import { SeededRandom } from './rng.js';
+import { deriveCardStats, normalizeCardData, buildCardDataReport } from './cardData.js';
+import { CardDatabase, computeCardPoolVersion } from './cardDatabase.js';
+import { CardFetcher } from './cardFetcher.js';
+import { getLegalActions, getLegalResponses, isLegalAction, canPlaceInSlot, isUnitSlot, isBehindVanguard, canMoveBetween, parseBaseTarget, getRecaptureGuardBp, isCounterEvent } from './legalActions.js';
+import { DeckManager } from './deckManager.js';
+import { RuleManager, DEFAULT_RULES, normalizeRules, describeRules } from './ruleManager.js';
+import { ActionLog, ACTION_TYPES } from './actionLog.js';
+import { SaveManager } from './saveManager.js';
+import { OnlineClient } from './onlineClient.js';
+import { CONFIG, PHASES, CARD_TYPES, CARD_FETCH, TRIGGERS, GAME_EVENTS, MODIFIER_DURATIONS, GAME_END_REASONS, RPS_HANDS } from './constants.js';
+import { EventBus } from './eventBus.js';
+import { addModifier, removeModifiers, clearModifiers } from './bpModifiers.js';
+import { refillReiki, canPayCost, payCost } from './reiki.js';
+import { getBasesToWin, countConqueredBases, decideTiebreak, describeGameResult } from './victory.js';
+
+// じゃんけんの手ごとの勝てる相手の手
+const RPS_BEATS = { rock: 'scissors', scissors: 'paper', paper: 'rock' };
+
+// カウンターイベントをメインフェイズに使おうとしたときのメッセージ
+const COUNTER_ONLY_MESSAGE = "カウンターイベントは攻撃を受けたときにだけ使えます";
 
 /**
  * ゲームの進行、状態、ルールを管理するコアクラス。
  */
 export class GameEngine {
-    constructor() {
-        this.ui = new UIManager(this);
+    /**
+     * @param {Object} [options] - エンジンの設定
+     * @param {Function} [options.createUI] - エンジンを受け取りUIアダプタを返すファクトリ。省略時は何も描画しないNullUI
+     * @param {number} [options.speed] - 待機時間の倍率。0で待機なし。省略時はゲームモードから決定する
+     */
+    constructor({ createUI = engine => new NullUI(engine), speed = null } = {}) {
+        this.speed = speed;
+        this.ui = createUI(this);
         this.ai = new AIAgent(this);
         this.effectRegistry = new EffectRegistry(this);
+        this.deckManager = new DeckManager();
+        this.ruleManager = new RuleManager();
+        this.saveManager = new SaveManager();
+        this.rng = null;
+        this.actionLog = null;
+        // オンライン対戦中はOnlineClientが入り、操作をサーバーに送信する
+        this.remote = null;
+        this.cardDatabase = new CardDatabase();
+        this.cardPool = null;
+        this.cardPoolPromise = null;
+        // 現在のカードプールのバージョンと最終同期日時
+        this.cardPoolMeta = null;
+        this.cardSyncPromise = null;
+        this.cardDataReport = null;
         this.state = null;
         this.isProcessing = true;
         this.actionPromise = null;
+        this.events = new EventBus();
+        this.registerTriggerHandlers();
+    }
+
+    /**
+     * イベントバスの出来事に応じてカードのスキルを発動させる。
+     */
+    registerTriggerHandlers() {
+        this.events.on(GAME_EVENTS.CARD_DESTROYED, ({ playerIndex, card }) => this.triggerEffect(playerIndex, card, null, TRIGGERS.ON_DESTROYED));
+        this.events.on(GAME_EVENTS.TURN_START, ({ playerIndex }) => this.triggerFieldEffects(playerIndex, TRIGGERS.ON_TURN_START));
+        this.events.on(GAME_EVENTS.TURN_END, ({ playerIndex }) => this.triggerFieldEffects(playerIndex, TRIGGERS.ON_TURN_END));
+        this.events.on(GAME_EVENTS.BASE_CONQUERED, ({ playerIndex }) => this.triggerFieldEffects(playerIndex, TRIGGERS.ON_BASE_CONQUERED));
     }
 
     /**
@@ -21,17 +73,52 @@ export class GameEngine {
      */
     async start() {
         this.ui.showSplashScreen();
+        // キャッシュ済みのカードプールを読み込み、APIとの同期を始めておく
+        this.getCardPool().catch(error => console.error(error));
+        // オンライン対戦中にページを再読み込みした場合は試合に再接続する
+        const session = OnlineClient.loadSession();
+        if (session) this.joinOnlineGame(session.url, { token: session.token });
+    }
+
+    /**
+     * マッチサーバーに接続してオンライン対戦に参加する。
+     * @param {string} url - マッチサーバーのWebSocket URL
+     * @param {Object} options
+     * @param {string} [options.name] - プレイヤー名
+     * @param {string} [options.token] - 再接続用のトークン
+     */
+    joinOnlineGame(url, { name, token } = {}) {
+        this.remote = new OnlineClient(this, url);
+        this.remote.connect({ name, token });
     }
 
     /**
      * ゲームセッションを初期化する。
-     * @param {string} gameMode - 'PvE' または 'EvE'
+     * @param {string} gameMode - 'PvE'、'PvP'（ホットシート）または 'EvE'
      * @param {string[]} playerNames - プレイヤー名の配列
+     * @param {number|string} [seed] - 乱数シード。省略時はランダムに決定する
+     * @param {(string|null)[]} [deckNames] - 各プレイヤーが使用する保存済みデッキ名。nullの場合は全カードを使用する
+     * @param {string[]} [aiDifficulty] - 各プレイヤーをAIが操作する場合の難易度（AI_DIFFICULTIESのキー）
+     * @param {Object} [rules] - 試合のルール（ruleManager.js の DEFAULT_RULES と同じ項目）。省略時は標準ルール
      */
-    async initGame(gameMode, playerNames) {
+    async initGame(gameMode, playerNames, seed, deckNames = [null, null], aiDifficulty = [DEFAULT_AI_DIFFICULTY, DEFAULT_AI_DIFFICULTY], rules = DEFAULT_RULES) {
         try {
-            const allCards = await this.loadCardData();
-            this.state = this.createInitialGameState(allCards, gameMode, playerNames);
+            const ruleCheck = RuleManager.validateRules(rules);
+            if (!ruleCheck.valid) {
+                this.ui.showModal(`ルールエラー`, `選択したルールでは試合を始められません。${ruleCheck.errors.join(' ')}`, [{ text: "閉じる", callback: () => this.ui.hideModal() }]);
+                return;
+            }
+            const allCards = await this.getCardPool();
+            const decks = deckNames.map(name => name ? this.deckManager.getDeck(name) : null);
+            for (const [index, deck] of decks.entries()) {
+                if (!deck) continue;
+                const { valid, errors } = DeckManager.validateDeck(deck, allCards);
+                if (!valid) {
+                    this.ui.showModal(`デッキエラー`, `${playerNames[index]}のデッキ「${deck.name}」は使用できません。${errors.join(' ')}`, [{ text: "閉じる", callback: () => this.ui.hideModal() }]);
+                    return;
+                }
+            }
+            this.state = this.createInitialGameState(allCards, gameMode, playerNames, seed, decks, aiDifficulty, rules);
             this.ui.hideSplashScreen();
             await this.delay(500);
             this.runGameLoop();
@@ -41,27 +128,60 @@ export class GameEngine {
     }
 
     /**
-     * APIから全ページのカードデータを再帰的に取得し、ローカルJSONとマージする。
+     * 保存済みの試合を復元し、保存時のフェーズからゲームループを再開する。
+     */
+    async resumeGame() {
+        const saved = this.saveManager.load();
+        if (!saved) return;
+        this.state = saved.state;
+        this.rng = SeededRandom.fromState(saved.rng);
+        this.actionLog = ActionLog.fromJSON(saved.actionLog);
+        this.ui.hideSplashScreen();
+        this.ui.addLog(`ターン ${this.state.turn} の ${this.state.phase.toUpperCase()} PHASE から再開`);
+        await this.delay(500);
+        this.runGameLoop(this.state.phase);
+    }
+
+    /**
+     * 現在の試合を保存する。フェーズが切り替わるたびに呼ばれる。
+     */
+    saveGame() {
+        if (!this.saveManager.storage) return;
+        this.saveManager.save({ state: this.state, rng: this.rng.getState(), actionLog: this.actionLog.toJSON() });
+    }
+
+    /**
+     * カードプールを取得する。一度読み込んだデータは再利用する。
+     * @returns {Promise<Object[]>} カードデータの配列
+     */
+    async getCardPool() {
+        if (this.cardPool) return this.cardPool;
+        // 起動時の読み込み中に呼ばれた場合は同じ読み込みを待つ
+        if (!this.cardPoolPromise) {
+            this.cardPoolPromise = this.loadCardData()
+                .then(cards => (this.cardPool = cards))
+                .finally(() => { this.cardPoolPromise = null; });
+        }
+        return this.cardPoolPromise;
+    }
+
+    /**
+     * カードプールを読み込む。キャッシュがあれば即座に返し、APIとの同期はバックグラウンドで行う。
+     * キャッシュがない場合は同期の完了を待つ。
      * @returns {Promise<Object[]>} マージ済みのカードデータの配列
      */
     async loadCardData() {
-        try {
-            console.log("カードデータの読み込みを開始します...");
-            const apiCards = await this.fetchCardsFromConfiguredSources();
-            console.log(`${apiCards.length}枚のカードを取得しました。`);
-
-            const localDataResponse = await fetch('data/cards.json');
-            if (!localDataResponse.ok) throw new Error('ローカルのスキル定義の読み込みに失敗しました。');
-            const localData = await localDataResponse.json();
-            const skillMap = new Map(localData.map(card => [card.name, card.skill]));
-
-            const mergedCards = apiCards.map(apiCard => ({
-                ...apiCard,
-                skill: skillMap.get(apiCard.name) || null
-            }));
-            console.log("カードデータのマージが完了しました。");
-            return mergedCards;
+        const cached = await this.cardDatabase.load();
+        if (cached) {
+            console.log(`キャッシュから${cached.cards.length}枚のカードを読み込みました (version: ${cached.version})。`);
+            this.setCardPoolRecord(cached);
+            this.syncCardData().catch(error => console.warn('カードデータのバックグラウンド同期に失敗しました。', error));
+            return cached.cards;
+        }
 
+        try {
+            const record = await this.syncCardData();
+            return record.cards;
         } catch (error) {
             console.error(error);
             return new Promise((resolve, reject) => {
@@ -71,7 +191,9 @@ export class GameEngine {
                         try {
                             const localDataResponse = await fetch('data/cards.json');
                             const localData = await localDataResponse.json();
-                            resolve(localData);
+                            const localCards = localData.map(card => normalizeCardData(card, card));
+                            this.reportCardData(localCards);
+                            resolve(localCards);
                         } catch (localError) {
                             reject(localError);
                         }
@@ -83,82 +205,177 @@ export class GameEngine {
     }
 
     /**
-     * data/card_sources.json に指定されたエンドポイントからカードを取得し、足りない場合は従来の再帰取得にフォールバックする。
-     * @returns {Promise<Object[]>} 全カードデータ
+     * APIからカードデータを取得し、ローカルJSONとマージする。
+     * @returns {Promise<Object[]>} マージ済みのカードデータの配列
      */
-    async fetchCardsFromConfiguredSources() {
-        try {
-            const sourcesResponse = await fetch('data/card_sources.json');
-            if (!sourcesResponse.ok) {
-                console.warn('card_sources.json の読み込みに失敗したため、既存のAPI巡回にフォールバックします。');
-                return this.fetchAllCardsFromApi();
-            }
-            const sources = await sourcesResponse.json();
-            const endpoints = sources.apiEndpoints || [];
-            if (!endpoints.length) {
-                console.warn('card_sources.json にエンドポイントがありません。既存のAPI巡回を実行します。');
-                return this.fetchAllCardsFromApi();
-            }
+    async fetchCardPool() {
+        console.log("カードデータの読み込みを開始します...");
+        const { cards: apiCards, failedUrls } = await this.fetchCardsFromConfiguredSources();
+        console.log(`${apiCards.length}枚のカードを取得しました。`);
 
-            const pagePromises = endpoints.map(async (url) => {
-                const apiResponse = await fetch(url, {
-                    headers: { "accept": "application/json, text/plain, */*" },
-                    method: "GET",
-                    mode: "cors"
-                });
-                if (!apiResponse.ok) {
-                    throw new Error(`カードデータ取得に失敗しました: ${url}`);
-                }
-                const apiData = await apiResponse.json();
-                return apiData.cards || [];
-            });
+        const localDataResponse = await fetch('data/cards.json');
+        if (!localDataResponse.ok) throw new Error('ローカルのスキル定義の読み込みに失敗しました。');
+        const localData = await localDataResponse.json();
+        const overrideMap = new Map(localData.map(card => [card.id, card]));
+        const skillMap = new Map(localData.map(card => [card.name, card.skill]));
+        const gaugeSkillMap = new Map(localData.filter(card => card.gaugeSkill).map(card => [card.name, card.gaugeSkill]));
+
+        // 同じIDのエントリは属性の上書きとして扱い、スキルはID→名前の順に探す
+        const mergedCards = apiCards.map(apiCard => {
+            const override = overrideMap.get(apiCard.id) || null;
+            return {
+                ...normalizeCardData(apiCard, override),
+                skill: (override && override.skill) || skillMap.get(apiCard.name) || null,
+                gaugeSkill: (override && override.gaugeSkill) || gaugeSkillMap.get(apiCard.name) || null
+            };
+        });
+        // 取得できなかったページがある場合、そのページにあったはずのカードは前回の同期結果から補う
+        if (failedUrls.length && this.cardPool) {
+            const fetchedIds = new Set(mergedCards.map(card => card.id));
+            const kept = this.cardPool.filter(card => !fetchedIds.has(card.id));
+            if (kept.length) console.warn(`前回の同期結果から${kept.length}枚を引き継ぎます。`);
+            mergedCards.push(...kept);
+        }
+        console.log("カードデータのマージが完了しました。");
+        return mergedCards;
+    }
 
-            const pages = await Promise.all(pagePromises);
-            const deduped = [];
-            const seen = new Set();
-            pages.flat().forEach(card => {
-                if (!seen.has(card.id)) {
-                    seen.add(card.id);
-                    deduped.push(card);
+    /**
+     * APIと同期してカードデータベースを更新する。同期中に呼ばれた場合は実行中の同期を待つ。
+     * @returns {Promise<Object>} 同期後のレコード
+     */
+    syncCardData() {
+        if (!this.cardSyncPromise) {
+            this.ui.showCardSyncStatus({ ...this.cardPoolMeta, syncing: true });
+            this.cardSyncPromise = (async () => {
+                try {
+                    const cards = await this.fetchCardPool();
+                    const unchanged = this.cardPoolMeta && this.cardPoolMeta.version === computeCardPoolVersion(cards);
+                    const record = await this.cardDatabase.save(cards, 'api');
+                    if (unchanged) {
+                        console.log(`カードデータに変更はありません (version: ${record.version})。`);
+                    } else {
+                        console.log(`カードデータベースを更新しました (version: ${record.version})。`);
+                    }
+                    this.setCardPoolRecord(record);
+                    return record;
+                } catch (error) {
+                    this.ui.showCardSyncStatus({ ...this.cardPoolMeta, error: error.message });
+                    throw error;
+                } finally {
+                    this.cardSyncPromise = null;
                 }
-            });
-            return deduped;
+            })();
+        }
+        return this.cardSyncPromise;
+    }
+
+    /**
+     * 更新ボタンから呼ばれ、APIとの同期を行う。失敗した場合はモーダルで知らせる。
+     */
+    async refreshCardData() {
+        try {
+            await this.syncCardData();
         } catch (error) {
-            console.warn('card_sources.json 経由の取得に失敗したため、既存のAPI巡回にフォールバックします。', error);
-            return this.fetchAllCardsFromApi();
+            console.error(error);
+            this.ui.showModal("同期エラー", `カードデータの同期に失敗しました。${error.message}`, [{ text: "閉じる", callback: () => this.ui.hideModal() }]);
         }
     }
 
     /**
-     * APIから全ページのカードを再帰的に取得するヘルパー関数。
-     * @param {number} limit - 1リクエストあたりの取得数
-     * @param {number} offset - 取得開始位置
-     * @param {Object[]} accumulatedCards - これまでに取得したカードの配列
-     * @returns {Promise<Object[]>} 全てのカードデータ
+     * 同期・読み込みしたレコードを現在のカードプールにする。
+     * @param {Object} record - カードデータベースのレコード
      */
-    async fetchAllCardsFromApi(limit = 100, offset = 0, accumulatedCards = []) {
-        const apiUrl = `https://app.cnptcg.monolithos.co.jp/api/cards?limit=${limit}&offset=${offset}&sort=newest`;
-        const apiResponse = await fetch(apiUrl, {
-            headers: { "accept": "application/json, text/plain, */*" },
-            method: "GET",
-            mode: "cors"
-        });
+    setCardPoolRecord(record) {
+        this.cardPool = record.cards;
+        this.cardPoolMeta = { version: record.version, syncedAt: record.syncedAt, source: record.source, count: record.cards.length };
+        this.reportCardData(record.cards);
+        this.ui.showCardSyncStatus(this.cardPoolMeta);
+    }
 
-        if (!apiResponse.ok) {
-            throw new Error(`APIからのデータ取得に失敗しました (offset: ${offset}): ${apiResponse.statusText}`);
+    /**
+     * 現在のカードプールをスナップショットファイルとして書き出す。
+     */
+    async exportCardPool() {
+        await this.getCardPool();
+        const record = await this.cardDatabase.load();
+        if (!record) {
+            this.ui.showModal("書き出しエラー", "書き出せるカードデータがありません。先に同期してください。", [{ text: "閉じる", callback: () => this.ui.hideModal() }]);
+            return;
         }
+        this.ui.downloadJSON(`cnp-card-pool-${record.version}.json`, CardDatabase.toSnapshot(record));
+    }
 
-        const apiData = await apiResponse.json();
-        const newCards = apiData.cards;
-        const allCards = [...accumulatedCards, ...newCards];
+    /**
+     * スナップショットファイルからカードプールを読み込み、カードデータベースに保存する。
+     * @param {Object} data - JSON.parse済みのスナップショット
+     * @returns {Promise<Object>} 保存したレコード
+     * @throws {Error} 形式が正しくない場合
+     */
+    async importCardPool(data) {
+        const cards = CardDatabase.fromSnapshot(data);
+        const record = await this.cardDatabase.save(cards, 'import');
+        this.setCardPoolRecord(record);
+        return record;
+    }
 
-        // 取得したカード数がlimitと同じ場合、次のページが存在する可能性がある
-        if (newCards.length === limit) {
-            return this.fetchAllCardsFromApi(limit, offset + limit, allCards);
+    /**
+     * 値が推測または欠落しているカードをコンソールに報告し、最新の検証結果として保持する。
+     * @param {Object[]} cards - 正規化済みのカードデータ
+     * @returns {{total: number, issues: Object[]}} 検証結果
+     */
+    reportCardData(cards) {
+        this.cardDataReport = buildCardDataReport(cards);
+        const { total, issues } = this.cardDataReport;
+        if (issues.length) {
+            console.warn(`カードデータ検証: ${total}枚中${issues.length}枚に推測または欠落した値があります。`);
+            console.table(issues.map(issue => ({
+                id: issue.id, name: issue.name, rarity: issue.rarity,
+                inferred: issue.inferred.join(', '), missing: issue.missing.join(', ')
+            })));
         } else {
-            // 次のページがない場合、全カードを返す
-            return allCards;
+            console.log(`カードデータ検証: ${total}枚すべての値が揃っています。`);
         }
+        return this.cardDataReport;
+    }
+
+    /**
+     * data/card_sources.json に指定されたエンドポイントからカードを取得する。
+     * 1枚も取得できない場合はAPIの巡回にフォールバックする。
+     * ページURLに ?cardApi=<URL> を付けると、そのAPI（ローカルのモックなど）だけを巡回する。
+     * @returns {Promise<{cards: Object[], failedUrls: string[]}>} 取得したカードと取得できなかったページのURL
+     * @throws {Error} 1枚も取得できなかった場合
+     */
+    async fetchCardsFromConfiguredSources() {
+        const fetcher = new CardFetcher({ onProgress: progress => this.ui.showCardFetchProgress(progress) });
+        const apiOverride = typeof location !== 'undefined' ? new URLSearchParams(location.search).get('cardApi') : null;
+        let result = { cards: [], failedUrls: [] };
+
+        if (!apiOverride) {
+            let endpoints = [];
+            try {
+                const sourcesResponse = await fetch('data/card_sources.json');
+                if (sourcesResponse.ok) endpoints = (await sourcesResponse.json()).apiEndpoints || [];
+            } catch (error) {
+                console.warn('card_sources.json の読み込みに失敗しました。', error);
+            }
+            if (endpoints.length) {
+                result = await fetcher.fetchPages(endpoints);
+            } else {
+                console.warn('card_sources.json にエンドポイントがありません。');
+            }
+        }
+
+        if (!result.cards.length) {
+            const apiUrl = apiOverride || CARD_FETCH.API_URL;
+            console.warn(`APIを巡回して取得します: ${apiUrl}`);
+            result = await fetcher.fetchPaginated(apiUrl);
+        }
+        if (!result.cards.length) throw new Error('APIからカードを1枚も取得できませんでした。');
+        if (result.failedUrls.length) {
+            console.warn(`${result.failedUrls.length}ページの取得に失敗しました。取得できた分だけで続行します。`, result.failedUrls);
+        }
+        return result;
     }
 
     /**
@@ -167,25 +384,22 @@ export class GameEngine {
      * @returns {Object} 処理後のカードデータ
      */
     processCardData(card) {
-        const rarityBP = { C: 1000, R: 1500, RR: 2000, RRR: 2500, SR: 3000, SEC: 3500, 'P-RR': 1800, 'P-RRR': 3800, 'SP-RRR': 4000, 'P': 500 };
-        const rarityCost = { C: 1, R: 2, RR: 2, RRR: 3, SR: 3, SEC: 4, 'P-RR': 2, 'P-RRR': 3, 'SP-RRR': 4, 'P': 1 };
-        
-        let type = CARD_TYPES.UNIT;
-        if (card.skill && (card.name.includes("奥義") || card.name.includes("プランニング") || card.name.includes("不屈"))) type = CARD_TYPES.EVENT;
-        else if (card.name.includes("協力者")) type = CARD_TYPES.SUPPORT;
-        else if (card.name.startsWith('レイキ')) type = CARD_TYPES.REIKI;
-        
-        const cardImageUrl = card.imageUrl || card.thumbnailUrl || `https://cnptcg.s3.ap-northeast-1.amazonaws.com/images/cards/${encodeURIComponent(card.name)}_${encodeURIComponent(card.rarity)}.png`;
-
+        const { type, bp, cost, color, tribe, skillText, imageUrl, dataSources } = deriveCardStats(card);
         return { 
             ...card, 
-            uuid: self.crypto.randomUUID(), 
-            bp: rarityBP[card.rarity] || 1000, 
-            cost: rarityCost[card.rarity] || 1, 
+            uuid: this.rng.uuid(), 
+            bp, 
+            cost, 
             type, 
+            color,
+            tribe,
+            skillText,
+            dataSources,
             rested: false, 
-            imageUrl: cardImageUrl,
-            originalBp: rarityBP[card.rarity] || 1000,
+            moved: false,
+            imageUrl,
+            originalBp: bp,
+            modifiers: [],
         };
     }
     
@@ -194,105 +408,292 @@ export class GameEngine {
      * @param {Object[]} allCardsData - 全カードのデータ
      * @param {string} gameMode - ゲームモード
      * @param {string[]} playerNames - プレイヤー名
+     * @param {number|string} [seed] - 乱数シード。省略時はランダムに決定する
+     * @param {(Object|null)[]} [decks] - 各プレイヤーのデッキ。nullの場合は全カード（レイキ・プロモ以外）をデッキとする
+     * @param {string[]} [aiDifficulty] - 各プレイヤーをAIが操作する場合の難易度（AI_DIFFICULTIESのキー）
+     * @param {Object} [rules] - 試合のルール。不足している項目は標準ルールの値を使う
      * @returns {Object} ゲームの初期状態
      */
-    createInitialGameState(allCardsData, gameMode, playerNames) {
-        const allCards = allCardsData.map(c => this.processCardData(c));
+    createInitialGameState(allCardsData, gameMode, playerNames, seed = SeededRandom.generateSeed(), decks = [null, null], aiDifficulty = [DEFAULT_AI_DIFFICULTY, DEFAULT_AI_DIFFICULTY], rules = DEFAULT_RULES) {
+        this.rng = new SeededRandom(seed);
+        rules = normalizeRules(rules);
 
-        const createPlayerState = () => {
-            const mainDeckRaw = allCards.filter(c => c.type !== CARD_TYPES.REIKI && !c.rarity.startsWith('SP') && !c.rarity.startsWith('P-'));
-            const mainDeck = [...mainDeckRaw].sort(() => 0.5 - Math.random());
-            
-            const reikiDeck = allCards.filter(c => c.type === CARD_TYPES.REIKI).sort(() => 0.5 - Math.random());
-            const hand = mainDeck.splice(0, CONFIG.INITIAL_HAND_SIZE);
-            const bases = Array(CONFIG.NUM_BASES).fill(0).map(() => ({ gauges: mainDeck.splice(0, CONFIG.GAUGE_PER_BASE), owner: null }));
+        const createPlayerState = (deck) => {
+            let mainDeck, reikiDeck;
+            if (deck) {
+                const { main, reiki } = DeckManager.expandDeck(deck, allCardsData);
+                mainDeck = this.rng.shuffle(main.map(c => this.processCardData(c)));
+                reikiDeck = this.rng.shuffle(reiki.map(c => this.processCardData(c)));
+            } else {
+                const allCards = allCardsData.map(c => this.processCardData(c));
+                mainDeck = this.rng.shuffle(allCards.filter(c => c.type !== CARD_TYPES.REIKI && !c.rarity.startsWith('SP') && !c.rarity.startsWith('P-')));
+                reikiDeck = this.rng.shuffle(allCards.filter(c => c.type === CARD_TYPES.REIKI));
+            }
+            const hand = mainDeck.splice(0, rules.INITIAL_HAND_SIZE);
+            const bases = Array(rules.NUM_BASES).fill(0).map(() => ({ gauges: mainDeck.splice(0, rules.GAUGE_PER_BASE), owner: null }));
             
             return { 
-                mainDeck, reikiDeck, hand, bases, 
-                reiki: 0, maxReiki: 0, trash: [], 
+                mainDeck, reikiDeck, hand, bases, mulliganed: false, recapturedThisTurn: false,
+                reiki: 0, maxReiki: 0, reikiZone: [], reikiColors: {}, trash: [], 
                 field: { vanguard1: null, vanguard2: null, rearguard1: null, rearguard2: null, support: null }, 
             };
         };
 
-        return { 
-            players: [createPlayerState(), createPlayerState()], 
+        const state = { 
+            players: [createPlayerState(decks[0]), createPlayerState(decks[1])], 
             turn: 1, 
             activePlayerIndex: 0, 
-            phase: PHASES.START, 
+            firstPlayerIndex: 0,
+            phase: PHASES.SETUP, 
             winner: null, 
+            result: null,
             gameMode, 
-            playerNames 
+            playerNames,
+            seed: this.rng.seed,
+            deckNames: decks.map(deck => deck ? deck.name : null),
+            aiDifficulty,
+            rules,
         };
+        this.actionLog = new ActionLog();
+        this.actionLog.start(state);
+        return state;
     }
 
     /**
      * メインのゲームループ。勝者が決まるか最大ターンに達するまでターンを繰り返す。
+     * @param {string|null} [resumePhase] - 保存データから再開する場合、最初のターンを再開するフェーズ
+     * @returns {Promise<Object>} 終了時のゲーム状態
      */
-    async runGameLoop() {
-        while (this.state.winner === null && this.state.turn <= CONFIG.MAX_TURNS) {
-            await this.executeTurn();
+    async runGameLoop(resumePhase = null) {
+        // 準備の途中で保存された場合は準備をやり直す（保存は準備の開始時にだけ行われる）
+        if (this.state.phase === PHASES.SETUP) {
+            await this.setupGame(resumePhase === PHASES.SETUP);
+            resumePhase = null;
+        }
+        while (this.state.winner === null && this.state.turn <= this.state.rules.MAX_TURNS) {
+            await this.executeTurn(resumePhase);
+            resumePhase = null;
         }
+        if (this.state.winner === null) this.resolveMaxTurns();
         
-        if (this.state.winner !== null) {
-            const winnerName = this.getPlayerName(this.state.winner);
-            this.ui.showModal(`${winnerName}の勝利！`, "素晴らしい戦いでした。", [{ text: "もう一度プレイ", callback: () => window.location.reload() }]);
+        this.saveManager.clear();
+        this.recordAction(ACTION_TYPES.GAME_END, { winner: this.state.winner, reason: this.state.result.reason });
+        this.actionLog.snapshot(this.state);
+
+        const saveReplayButton = { text: "リプレイを保存", callback: () => this.exportActionLog() };
+        const { title, text } = describeGameResult(this.state, index => this.getPlayerName(index));
+        this.ui.showModal(title, text, [saveReplayButton, { text: "もう一度プレイ", callback: () => window.location.reload() }]);
+        return this.state;
+    }
+
+    /**
+     * 試合開始前の準備。先攻を決め、先攻のプレイヤーから順にマリガンするかどうかを選ぶ。
+     * @param {boolean} [resumed] - 保存データから再開した場合true。準備の開始は記録済みなので表示の更新だけ行う
+     */
+    async setupGame(resumed = false) {
+        if (resumed) {
+            this.ui.update(this.state);
+        } else {
+            this.setPhase(PHASES.SETUP);
+            this.ui.addLog(`ルール: ${describeRules(this.state.rules)}`);
+        }
+        const firstPlayerIndex = await this.decideFirstPlayer();
+        this.state.firstPlayerIndex = firstPlayerIndex;
+        this.state.activePlayerIndex = firstPlayerIndex;
+        const method = this.state.rules.FIRST_PLAYER_METHOD;
+        this.recordAction(ACTION_TYPES.FIRST_PLAYER, { playerIndex: firstPlayerIndex, method });
+        this.ui.addLog(`${method === 'rps' ? 'じゃんけん' : 'コイントス'}の結果、${this.getPlayerName(firstPlayerIndex)}が先攻`);
+        for (const playerIndex of [firstPlayerIndex, (firstPlayerIndex + 1) % 2]) {
+            await this.offerMulligan(playerIndex);
+        }
+        this.ui.update(this.state);
+    }
+
+    /**
+     * 先攻のプレイヤーを決める。ルールの FIRST_PLAYER_METHOD が 'rps' ならじゃんけん（あいこは繰り返す）、それ以外はコイントス。
+     * @returns {Promise<number>} 先攻のプレイヤー
+     */
+    async decideFirstPlayer() {
+        if (this.state.rules.FIRST_PLAYER_METHOD !== 'rps') return this.rng.nextInt(2);
+        for (;;) {
+            const hands = [];
+            for (const playerIndex of [0, 1]) hands.push(await this.chooseRpsHand(playerIndex));
+            this.ui.addLog(`じゃんけん: ${hands.map((hand, index) => `${this.getPlayerName(index)} ${RPS_HANDS[hand]}`).join(' / ')}`);
+            if (hands[0] !== hands[1]) return RPS_BEATS[hands[0]] === hands[1] ? 0 : 1;
+            this.ui.addLog("あいこ");
+        }
+    }
+
+    /**
+     * じゃんけんの手を選ぶ。AIと、手を選ばなかった人間（時間切れなど）はランダムな手になる。
+     * @param {number} playerIndex - 選ぶプレイヤー
+     * @returns {Promise<string>} RPS_HANDSのキー
+     */
+    async chooseRpsHand(playerIndex) {
+        const hands = Object.keys(RPS_HANDS);
+        if (this.isHumanPlayer(playerIndex)) {
+            const hand = await this.ui.promptRps(playerIndex);
+            if (hands.includes(hand)) return hand;
+        }
+        return hands[this.rng.nextInt(hands.length)];
+    }
+
+    /**
+     * プレイヤーにマリガンするかどうかを選ばせる。マリガンする場合は手札をデッキに戻してシャッフルし、同じ枚数を引き直す。
+     * マリガンは1人1回まで。
+     * @param {number} playerIndex - 選ぶプレイヤー
+     */
+    async offerMulligan(playerIndex) {
+        const player = this.state.players[playerIndex];
+        if (player.mulliganed) return;
+        let mulligan;
+        if (this.isHumanPlayer(playerIndex)) {
+            if (this.state.gameMode === 'PvP') await this.ui.requestHandOver(playerIndex);
+            mulligan = (await this.ui.promptMulligan(playerIndex, player.hand)) === true;
+        } else {
+            mulligan = this.ai.chooseMulligan(playerIndex);
+        }
+        player.mulliganed = true;
+        this.recordAction(ACTION_TYPES.MULLIGAN, { playerIndex, mulligan });
+        if (!mulligan) {
+            this.ui.addLog(`${this.getPlayerName(playerIndex)}は手札を確定した`);
+            return;
+        }
+        const handSize = player.hand.length;
+        player.mainDeck.push(...player.hand.splice(0));
+        this.rng.shuffle(player.mainDeck);
+        player.hand = player.mainDeck.splice(0, handSize);
+        this.ui.addLog(`${this.getPlayerName(playerIndex)}がマリガンした`);
+        this.ui.update(this.state);
+    }
+
+    /**
+     * 勝者を決めて試合を終える。
+     * @param {number} winnerIndex - 勝ったプレイヤー
+     * @param {string} reason - GAME_END_REASONSのいずれか
+     * @param {Object} [details] - 終了画面で説明に使う情報
+     */
+    declareWinner(winnerIndex, reason, details = {}) {
+        this.state.winner = winnerIndex;
+        this.state.result = { reason, ...details };
+    }
+
+    /**
+     * 最大ターンに達したときの勝敗を決める。ルールの MAX_TURN_TIEBREAK が有効なら判定を行い、差がつかなければ引き分けにする。
+     */
+    resolveMaxTurns() {
+        const tiebreak = this.state.rules.MAX_TURN_TIEBREAK ? decideTiebreak(this.state) : null;
+        if (tiebreak && tiebreak.winner !== null) {
+            this.declareWinner(tiebreak.winner, GAME_END_REASONS.TIEBREAK, { criterion: tiebreak.criterion, scores: tiebreak.scores });
         } else {
-            this.ui.showModal(`引き分け`, `規定ターン数(${CONFIG.MAX_TURNS})に達しました。`, [{ text: "もう一度プレイ", callback: () => window.location.reload() }]);
+            this.state.result = { reason: GAME_END_REASONS.MAX_TURNS };
         }
     }
 
     /**
      * 1ターン分の処理を実行する。
+     * @param {string|null} [resumePhase] - 途中から再開する場合のフェーズ。それより前のフェーズは実行済みとして飛ばす
      */
-    async executeTurn() {
+    async executeTurn(resumePhase = null) {
         const playerIndex = this.state.activePlayerIndex;
-        this.state.phase = PHASES.START;
-        this.ui.update(this.state);
-        this.ui.addLog(`ターン ${this.state.turn} - ${this.getPlayerName(playerIndex)} のターン`);
-        
-        await this.delay();
-        this.activePhase(playerIndex);
-        this.reikiChargePhase(playerIndex);
-        this.drawPhase(playerIndex);
+        const phaseOrder = [PHASES.START, PHASES.MAIN, PHASES.BATTLE, PHASES.END];
+        const startAt = resumePhase ? phaseOrder.indexOf(resumePhase) : 0;
+        // 再開したフェーズは保存前に記録済みなので、表示の更新だけ行う
+        const enterPhase = phase => {
+            if (phase === resumePhase) this.ui.update(this.state);
+            else this.setPhase(phase);
+        };
 
-        this.state.phase = PHASES.MAIN;
-        this.ui.update(this.state);
-        await this.mainPhase();
-        if (this.state.winner) return;
+        if (this.state.gameMode === 'PvP') {
+            await this.ui.requestHandOver(playerIndex);
+        }
 
-        this.state.phase = PHASES.BATTLE;
-        this.ui.update(this.state);
-        await this.battlePhase();
-        if (this.state.winner) return;
+        if (startAt <= 0) {
+            if (!resumePhase) this.actionLog.snapshot(this.state);
+            enterPhase(PHASES.START);
+            this.ui.addLog(`ターン ${this.state.turn} - ${this.getPlayerName(playerIndex)} のターン`);
+            
+            await this.delay();
+            this.activePhase(playerIndex);
+            this.reikiChargePhase(playerIndex);
+            this.drawPhase(playerIndex);
+            await this.events.emit(GAME_EVENTS.TURN_START, { playerIndex });
+            await this.settleBoard();
+            if (this.state.winner !== null) return;
+        }
 
-        this.state.phase = PHASES.END;
-        this.ui.update(this.state);
-        this.endTurnCleanup(playerIndex);
+        if (startAt <= 1) {
+            enterPhase(PHASES.MAIN);
+            await this.mainPhase();
+            if (this.state.winner !== null) return;
+        }
+
+        if (startAt <= 2) {
+            enterPhase(PHASES.BATTLE);
+            await this.battlePhase();
+            if (this.state.winner !== null) return;
+        }
+
+        enterPhase(PHASES.END);
+        await this.events.emit(GAME_EVENTS.TURN_END, { playerIndex });
+        await this.settleBoard();
+        await this.enforceHandLimit(playerIndex);
+        this.endTurnCleanup();
         this.checkWinner();
 
         this.state.activePlayerIndex = (playerIndex + 1) % 2;
-        if (this.state.activePlayerIndex === 0) {
+        if (this.state.activePlayerIndex === this.state.firstPlayerIndex) {
             this.state.turn++;
         }
     }
 
+    /**
+     * フェーズを切り替えて記録する。
+     * @param {string} phase - PHASESのいずれか
+     */
+    setPhase(phase) {
+        this.state.phase = phase;
+        this.recordAction(ACTION_TYPES.PHASE);
+        this.saveGame();
+        this.ui.update(this.state);
+    }
+
     activePhase(playerIndex) {
         const player = this.state.players[playerIndex];
-        Object.values(player.field).forEach(card => { if (card) card.rested = false; });
+        Object.values(player.field).forEach(card => {
+            if (card) {
+                card.rested = false;
+                card.moved = false;
+            }
+        });
+        player.recapturedThisTurn = false;
+        // 前のターンに自分が掛けた「次のターンまで」の修正が切れる
+        this.getAllCards().forEach(card => removeModifiers(card, modifier => modifier.duration === MODIFIER_DURATIONS.UNTIL_NEXT_TURN && modifier.playerIndex === playerIndex));
         this.ui.addLog("アクティブフェイズ");
         this.ui.update(this.state);
     }
 
+    /**
+     * 最大レイキを1増やし、レイキデッキの上から1枚をレイキゾーンに置いてレイキを回復する。
+     * レイキデッキが尽きた後やゾーンが最大レイキに達した後は、増えた分を無色のレイキとして扱う。
+     * @param {number} playerIndex - ターンプレイヤー
+     */
     reikiChargePhase(playerIndex) {
         const player = this.state.players[playerIndex];
-        if (player.maxReiki < CONFIG.MAX_REIKI) player.maxReiki++;
-        player.reiki = player.maxReiki;
+        if (player.maxReiki < this.state.rules.MAX_REIKI) player.maxReiki++;
+        player.reikiZone = player.reikiZone || [];
+        if (player.reikiDeck.length > 0 && player.reikiZone.length < player.maxReiki) {
+            const reikiCard = player.reikiDeck.pop();
+            player.reikiZone.push(reikiCard);
+            this.recordAction(ACTION_TYPES.REIKI_CHARGE, { playerIndex, cardUUID: reikiCard.uuid, cardName: reikiCard.name, color: reikiCard.color });
+        }
+        refillReiki(player);
         this.ui.addLog("レイキチャージフェイズ");
         this.ui.update(this.state);
     }
 
     drawPhase(playerIndex) {
-        if(this.state.turn === 1 && playerIndex === 0) {
+        if(this.state.turn === 1 && playerIndex === this.state.firstPlayerIndex) {
             this.ui.addLog("先攻のためドローなし");
             return;
         }
@@ -315,71 +716,237 @@ export class GameEngine {
         }
     }
 
-    endTurnCleanup(playerIndex) {
+    /**
+     * 手札が上限（ルールの MAX_HAND_SIZE）を超えている場合、超えた枚数のカードをプレイヤーに選ばせてトラッシュに置く。
+     * エンドフェイズにターンを終えるプレイヤーについて行う。
+     * @param {number} playerIndex - ターンを終えるプレイヤー
+     */
+    async enforceHandLimit(playerIndex) {
         const player = this.state.players[playerIndex];
-        Object.values(player.field).forEach(card => {
-            if (card) {
-                card.bp = card.originalBp;
-            }
-        });
-        const opponent = this.state.players[(playerIndex + 1) % 2];
-        Object.values(opponent.field).forEach(card => {
-            if (card) {
-                card.bp = card.originalBp;
-            }
-        });
+        const { MAX_HAND_SIZE } = this.state.rules;
+        if (MAX_HAND_SIZE === null || player.hand.length <= MAX_HAND_SIZE) return;
+        const excess = player.hand.length - MAX_HAND_SIZE;
+        this.ui.addLog(`手札の上限は${MAX_HAND_SIZE}枚のため、${this.getPlayerName(playerIndex)}は${excess}枚捨てる`);
+        const candidates = player.hand.map(card => ({ playerIndex, zone: 'hand', slot: null, card }));
+        const chosen = await this.chooseTargets(playerIndex, candidates, excess, { op: 'discard' });
+        chosen.forEach(target => this.effectRegistry.moveToZone(target, 'trash'));
+        const cardNames = chosen.map(({ card }) => card.name);
+        this.recordAction(ACTION_TYPES.DISCARD, { playerIndex, cardUUIDs: chosen.map(({ card }) => card.uuid), cardNames });
+        this.ui.addLog(`${this.getPlayerName(playerIndex)}が${cardNames.join('、')}を捨てた`);
+        this.ui.update(this.state);
+    }
+
+    /**
+     * ターン終了時の後片付け。ターン終了時までのBP修正を取り除く。
+     */
+    endTurnCleanup() {
+        this.getAllCards().forEach(card => removeModifiers(card, modifier => modifier.duration === MODIFIER_DURATIONS.TURN));
+    }
+
+    /**
+     * 両プレイヤーの全ての領域（場・手札・山札・トラッシュ・ゲージ）のカードを返す。
+     * @returns {Object[]} カードの配列
+     */
+    getAllCards() {
+        return this.state.players.flatMap(player => [
+            ...Object.values(player.field).filter(Boolean),
+            ...player.hand,
+            ...player.mainDeck,
+            ...player.trash,
+            ...player.bases.flatMap(base => base.gauges),
+        ]);
     }
 
     async waitForPlayerAction() {
+        const actionDone = new Promise(resolve => { this.actionPromise = { resolve }; });
         this.isProcessing = false;
         this.ui.update(this.state);
-        await new Promise(resolve => { this.actionPromise = { resolve }; });
+        await actionDone;
         this.isProcessing = true;
     }
 
     handlePlayerAction(data) {
         if (!this.isHumanTurn() || this.isProcessing) return;
         const { type, cardUUID, slot, owner, baseIndex } = data;
+        const playerIndex = this.state.activePlayerIndex;
         
         if (this.state.phase === PHASES.MAIN) {
             if (type === 'hand') {
-                const card = this.state.players[0].hand.find(c => c.uuid === cardUUID);
+                const card = this.state.players[playerIndex].hand.find(c => c.uuid === cardUUID);
                 this.ui.selectCard(card, 'hand', null);
             } else if (type === 'field' && this.ui.selectedCard && this.ui.selectedCardType === 'hand') {
-                this.playCard(0, this.ui.selectedCard.uuid, slot);
+                this.submitAction({ type: 'play', cardUUID: this.ui.selectedCard.uuid, slot });
+            } else if (type === 'field' && owner === 'player') {
+                // 場のユニットを選んでから別の列のスロットを選ぶと移動する
+                const moves = this.getLegalActions().filter(action => action.type === 'move');
+                if (this.ui.selectedCardType === 'field' && moves.some(action => action.fromSlot === this.ui.selectedCardSlot && action.toSlot === slot)) {
+                    this.submitAction({ type: 'move', fromSlot: this.ui.selectedCardSlot, toSlot: slot });
+                } else if (moves.some(action => action.fromSlot === slot)) {
+                    this.ui.selectCard(this.state.players[playerIndex].field[slot], 'field', slot);
+                }
             }
         } else if (this.state.phase === PHASES.BATTLE) {
-            const player = this.state.players[0];
+            const player = this.state.players[playerIndex];
             const cardOnField = player.field[slot];
-            if (type === 'field' && owner === 'player' && cardOnField && !cardOnField.rested) {
+            const canAttack = this.getLegalActions().some(action => action.type === 'attack' && action.attackerSlot === slot);
+            if (type === 'field' && owner === 'player' && cardOnField && canAttack) {
                  this.ui.selectCard(cardOnField, 'field', slot);
             } else if (this.ui.selectedCard && this.ui.selectedCardType === 'field') {
                  if (type === 'field' && owner === 'opponent') {
-                    this.initiateAttack(0, this.ui.selectedCardSlot, slot);
+                    this.submitAction({ type: 'attack', attackerSlot: this.ui.selectedCardSlot, target: slot });
                 } else if (type === 'base' && owner === 'opponent') {
-                    this.initiateAttack(0, this.ui.selectedCardSlot, `base${baseIndex}`);
+                    this.submitAction({ type: 'attack', attackerSlot: this.ui.selectedCardSlot, target: `base${baseIndex}` });
+                } else if (type === 'base' && owner === 'player') {
+                    // 相手に制圧された自分の拠点を攻撃すると奪還を狙う
+                    this.submitAction({ type: 'attack', attackerSlot: this.ui.selectedCardSlot, target: `ownBase${baseIndex}` });
                 }
             }
         }
     }
     
-    playCard(playerIndex, cardUUID, targetSlot) {
+    /**
+     * 人間のプレイヤーの操作を実行する。オンライン対戦ではサーバーに送信し、結果は状態の配信で反映される。
+     * @param {Object} action - { type: 'play'|'attack'|'endPhase', ... }
+     */
+    async submitAction(action) {
+        if (this.remote) {
+            this.remote.sendAction(action);
+            return;
+        }
+        const { ok, error } = await this.applyAction(this.state.activePlayerIndex, action);
+        if (!ok) this.ui.addLog(error, 'error');
+    }
+
+    /**
+     * 操作が現在の状態で合法かを検証し、合法であれば適用する。
+     * オンライン対戦のサーバーはクライアントから届いた操作をここで検証する。
+     * @param {number} playerIndex - 操作したプレイヤー
+     * @param {Object} action - { type: 'play', cardUUID, slot } | { type: 'attack', attackerSlot, target } | { type: 'endPhase' }
+     * @returns {Promise<{ok: boolean, error?: string}>} 検証結果
+     */
+    async applyAction(playerIndex, action) {
+        const error = this.validateAction(playerIndex, action);
+        if (error) return { ok: false, error };
+
+        if (action.type === 'play' || action.type === 'move' || action.type === 'attack') {
+            // スキルの対象選択などで処理が中断している間は他の操作を受け付けない
+            this.isProcessing = true;
+            this.ui.update(this.state);
+            if (action.type === 'play') await this.playCard(playerIndex, action.cardUUID, action.slot);
+            else if (action.type === 'move') await this.moveUnit(playerIndex, action.fromSlot, action.toSlot);
+            else await this.initiateAttack(playerIndex, action.attackerSlot, action.target);
+            this.isProcessing = false;
+            // 勝敗が決まった場合はフェイズ終了を待たずに進める
+            if (this.state.winner !== null && this.actionPromise) {
+                this.actionPromise.resolve();
+                this.actionPromise = null;
+            }
+            this.ui.update(this.state);
+        } else if (action.type === 'endPhase') {
+            this.actionPromise.resolve();
+            this.actionPromise = null;
+        }
+        return { ok: true };
+    }
+
+    /**
+     * 操作の合法性を検証する。
+     * @param {number} playerIndex - 操作したプレイヤー
+     * @param {Object} action - 検証する操作
+     * @returns {string|null} 不正な場合はエラーメッセージ
+     */
+    validateAction(playerIndex, action) {
+        if (!this.state || this.state.winner !== null) return "試合は終了しています";
+        if (playerIndex !== this.state.activePlayerIndex) return "相手のターンです";
+        if (this.isProcessing || !this.actionPromise) return "現在は操作できません";
+
+        const player = this.state.players[playerIndex];
+        const opponent = this.state.players[(playerIndex + 1) % 2];
+        const legal = isLegalAction(this.getLegalActions(this.state, playerIndex), action || {});
+        // 合法手に含まれない理由を具体的に返す
+        switch (action?.type) {
+            case 'play': {
+                if (this.state.phase !== PHASES.MAIN) return "メインフェイズではありません";
+                const card = player.hand.find(c => c.uuid === action.cardUUID);
+                if (!card) return "手札にないカードです";
+                if (isCounterEvent(card)) return COUNTER_ONLY_MESSAGE;
+                if (player.reiki < card.cost) return "コスト不足です";
+                if (!canPayCost(player, card)) return `${card.color}のレイキが足りません`;
+                if (legal) return null;
+                if (!action.slot) return "配置する場所を選択してください";
+                if (!(action.slot in player.field)) return "存在しない場所です";
+                if (player.field[action.slot]) return "その場所はすでに埋まっています";
+                return "そのカードはその場所に置けません";
+            }
+            case 'move': {
+                if (this.state.phase !== PHASES.MAIN) return "メインフェイズではありません";
+                if (legal) return null;
+                const unit = player.field[action.fromSlot];
+                if (!unit || !isUnitSlot(action.fromSlot)) return "移動できるユニットではありません";
+                if (unit.rested) return "レスト状態のユニットは移動できません";
+                if (unit.moved) return "このターンはすでに移動しています";
+                if (!(action.toSlot in player.field) || !canMoveBetween(action.fromSlot, action.toSlot)) return "ヴァンガードとリアガードの間でのみ移動できます";
+                return "入れ替える相手のユニットは移動できません";
+            }
+            case 'attack': {
+                if (this.state.phase !== PHASES.BATTLE) return "バトルフェイズではありません";
+                if (legal) return null;
+                const attacker = player.field[action.attackerSlot];
+                if (!attacker || attacker.rested || !isUnitSlot(action.attackerSlot)) return "攻撃できるユニットではありません";
+                if (isBehindVanguard(player, action.attackerSlot)) return "前にヴァンガードがいるリアガードは攻撃できません";
+                const target = action.target || '';
+                const baseTarget = parseBaseTarget(target);
+                if (baseTarget) {
+                    const base = (baseTarget.own ? player : opponent).bases[baseTarget.index];
+                    if (!base) return "存在しない拠点です";
+                    if (!baseTarget.own) return "その拠点はすでに制圧しています";
+                    if (base.owner !== (playerIndex + 1) % 2) return "相手に制圧されていない拠点は奪還できません";
+                    return "拠点の奪還を狙う攻撃は1ターンに1回までです";
+                }
+                if (opponent.field[target] && isBehindVanguard(opponent, target)) return "ヴァンガードの後ろのリアガードは攻撃できません";
+                return "攻撃対象がいません";
+            }
+            case 'endPhase':
+                return legal ? null : "現在は操作できません";
+            default:
+                return "不明な操作です";
+        }
+    }
+
+    /**
+     * 現在の状態でプレイヤーが実行できる全ての操作を返す。
+     * @param {Object} [state] - ゲーム状態。省略時は現在の状態
+     * @param {number} [playerIndex] - 操作するプレイヤー。省略時は手番のプレイヤー
+     * @returns {Object[]} 合法な操作の配列（フェイズ終了を含む）
+     */
+    getLegalActions(state = this.state, playerIndex = state.activePlayerIndex) {
+        return getLegalActions(state, playerIndex);
+    }
+
+    async playCard(playerIndex, cardUUID, targetSlot) {
         const player = this.state.players[playerIndex];
         const cardIndex = player.hand.findIndex(c => c.uuid === cardUUID);
         if (cardIndex === -1) return;
         const card = player.hand[cardIndex];
 
-        if (player.reiki < card.cost) {
+        // カウンターイベントはメインフェイズに使っても効果がないため、攻撃を受けたとき（playCounterEvent）以外では使えない
+        if (isCounterEvent(card)) {
+            if (this.isHumanTurn()) this.ui.addLog(COUNTER_ONLY_MESSAGE, "error");
+            return;
+        }
+        if (!canPayCost(player, card)) {
             if (this.isHumanTurn()) this.ui.addLog("コスト不足です", "error");
             return;
         }
 
         if (card.type === CARD_TYPES.EVENT) {
-            player.reiki -= card.cost;
+            payCost(player, card);
             const playedCard = player.hand.splice(cardIndex, 1)[0];
+            this.recordAction(ACTION_TYPES.PLAY, { playerIndex, cardUUID: playedCard.uuid, cardName: playedCard.name, slot: null });
             this.ui.addLog(`${this.getPlayerName(playerIndex)}がイベント「${playedCard.name}」を使用`);
-            this.triggerEffect(playerIndex, playedCard, null);
+            await this.triggerEffect(playerIndex, playedCard, null);
             player.trash.push(playedCard);
+            await this.settleBoard();
             this.ui.unselectCard();
             this.ui.update(this.state);
             return;
@@ -393,56 +960,128 @@ export class GameEngine {
             if (this.isHumanTurn()) this.ui.addLog("その場所はすでに埋まっています", "error");
             return;
         }
+        if (!canPlaceInSlot(card, targetSlot)) {
+            if (this.isHumanTurn()) this.ui.addLog("そのカードはその場所に置けません", "error");
+            return;
+        }
 
-        player.reiki -= card.cost;
+        payCost(player, card);
         const playedCard = player.hand.splice(cardIndex, 1)[0];
         player.field[targetSlot] = playedCard;
+        this.recordAction(ACTION_TYPES.PLAY, { playerIndex, cardUUID: playedCard.uuid, cardName: playedCard.name, slot: targetSlot });
         this.ui.addLog(`${this.getPlayerName(playerIndex)}が${playedCard.name}を${targetSlot}に召喚`);
         
-        this.triggerEffect(playerIndex, playedCard, targetSlot);
+        await this.triggerEffect(playerIndex, playedCard, targetSlot);
+        await this.settleBoard();
 
         this.ui.unselectCard();
         this.ui.update(this.state);
     }
     
-    initiateAttack(attackerIndex, attackerSlot, targetIdentifier) {
+    /**
+     * 場のユニットをヴァンガードとリアガードの間で移動する。移動先にユニットがいる場合は入れ替える。
+     * @param {number} playerIndex - 移動するプレイヤー
+     * @param {string} fromSlot - 移動元のスロット
+     * @param {string} toSlot - 移動先のスロット
+     */
+    async moveUnit(playerIndex, fromSlot, toSlot) {
+        const player = this.state.players[playerIndex];
+        const unit = player.field[fromSlot];
+        if (!unit || !canMoveBetween(fromSlot, toSlot)) return;
+        const swapped = player.field[toSlot];
+        player.field[toSlot] = unit;
+        player.field[fromSlot] = swapped;
+        unit.moved = true;
+        if (swapped) swapped.moved = true;
+        this.recordAction(ACTION_TYPES.MOVE, { playerIndex, cardUUID: unit.uuid, cardName: unit.name, fromSlot, toSlot, swappedUUID: swapped ? swapped.uuid : null });
+        this.ui.addLog(swapped
+            ? `${this.getPlayerName(playerIndex)}が${unit.name}と${swapped.name}の位置を入れ替えた`
+            : `${this.getPlayerName(playerIndex)}が${unit.name}を${toSlot}に移動`);
+        await this.settleBoard();
+        this.ui.unselectCard();
+        this.ui.update(this.state);
+    }
+
+    async initiateAttack(attackerIndex, attackerSlot, targetIdentifier) {
         const attackerPlayer = this.state.players[attackerIndex];
         const defenderIndex = (attackerIndex + 1) % 2;
         const defenderPlayer = this.state.players[defenderIndex];
         const attackerCard = attackerPlayer.field[attackerSlot];
         
         if (!attackerCard || attackerCard.rested) return;
+        // 前にヴァンガードがいるリアガードは、攻撃することも攻撃されることもない
+        if (isBehindVanguard(attackerPlayer, attackerSlot) || (targetIdentifier && isBehindVanguard(defenderPlayer, targetIdentifier))) {
+            this.ui.addLog("ヴァンガードの後ろのリアガードは攻撃に参加できません", "error");
+            return;
+        }
 
-        this.triggerEffect(attackerIndex, attackerCard, attackerSlot, 'onAttack');
+        // 奪還を狙う攻撃は、ブロックされたり失敗したりしてもそのターンの1回として数える
+        if (parseBaseTarget(targetIdentifier)?.own) attackerPlayer.recapturedThisTurn = true;
 
+        await this.triggerEffect(attackerIndex, attackerCard, attackerSlot, TRIGGERS.ON_ATTACK);
+
+        // 防御側の応答。ブロックされた場合はブロックしたユニットが攻撃対象になる
+        let targetSlot = targetIdentifier;
+        if (attackerPlayer.field[attackerSlot] === attackerCard) {
+            const response = await this.requestDefenderResponse(defenderIndex, { attackerIndex, attackerSlot, target: targetIdentifier });
+            if (response.type === 'block') {
+                targetSlot = response.blockerSlot;
+                const blocker = defenderPlayer.field[targetSlot];
+                blocker.rested = true;
+                this.recordAction(ACTION_TYPES.BLOCK, { playerIndex: defenderIndex, blockerSlot: targetSlot, blockerUUID: blocker.uuid, blockerName: blocker.name, target: targetIdentifier });
+                this.ui.addLog(`${this.getPlayerName(defenderIndex)}の${blocker.name}がブロック`);
+            } else if (response.type === 'counter') {
+                await this.playCounterEvent(defenderIndex, response.cardUUID);
+            }
+        }
+
+        const baseTarget = parseBaseTarget(targetSlot);
+        const targetsUnit = targetSlot && !baseTarget;
         let defenderCard = null;
-        if(targetIdentifier && !targetIdentifier.startsWith('base')) {
-            defenderCard = defenderPlayer.field[targetIdentifier];
+        if (targetsUnit) {
+            defenderCard = defenderPlayer.field[targetSlot];
+            if (defenderCard) await this.triggerEffect(defenderIndex, defenderCard, targetSlot, TRIGGERS.ON_DEFEND);
+            defenderCard = defenderPlayer.field[targetSlot];
+        }
+        // スキルの効果で攻撃するユニットか攻撃対象が場を離れた場合、攻撃は行われない
+        if (attackerPlayer.field[attackerSlot] !== attackerCard || (targetsUnit && !defenderCard)) {
+            if (attackerPlayer.field[attackerSlot] === attackerCard) attackerCard.rested = true;
+            this.ui.addLog(`${attackerCard.name}の攻撃は対象がいなくなったため行われなかった`);
+            await this.settleBoard();
+            this.ui.unselectCard();
+            this.ui.update(this.state);
+            return;
         }
 
-        this.ui.addLog(`${this.getPlayerName(attackerIndex)}の${attackerCard.name}が${defenderCard ? defenderCard.name : '拠点'}に攻撃`);
-        this.ui.showAttackEffect(attackerCard, defenderCard || targetIdentifier);
+        const targetName = defenderCard ? defenderCard.name : (baseTarget.own ? '奪われた拠点' : '拠点');
+        this.ui.addLog(`${this.getPlayerName(attackerIndex)}の${attackerCard.name}が${targetName}に攻撃`);
+        this.ui.showAttackEffect(attackerCard, defenderCard || targetSlot);
         attackerCard.rested = true;
         
-        const battleResult = this.resolveBattle(attackerCard, defenderCard);
+        const battleResult = baseTarget?.own
+            ? this.resolveRecapture(attackerCard, defenderPlayer)
+            : this.resolveBattle(attackerCard, defenderCard);
+        this.recordAction(ACTION_TYPES.ATTACK, {
+            playerIndex: attackerIndex,
+            attackerSlot,
+            attackerUUID: attackerCard.uuid,
+            attackerName: attackerCard.name,
+            target: targetIdentifier,
+            defenderUUID: defenderCard ? defenderCard.uuid : null,
+            result: battleResult.winner,
+        });
         
         if (battleResult.winner === 'attacker') {
             if(defenderCard) {
-                this.sendToTrash(defenderIndex, targetIdentifier);
+                this.sendToTrash(defenderIndex, targetSlot);
                 this.ui.addLog(`${defenderCard.name}は破壊された`);
+            } else if (baseTarget.own) {
+                this.recaptureBase(attackerIndex, baseTarget.index);
             } else {
-                const baseIndex = parseInt(targetIdentifier.replace('base', ''));
-                const base = defenderPlayer.bases[baseIndex];
-                if (base.gauges.length > 0) {
-                    defenderPlayer.trash.push(base.gauges.pop());
-                    this.ui.addLog(`拠点のゲージが1枚破壊された`);
-                }
-                if (base.gauges.length === 0 && base.owner !== attackerIndex) {
-                    base.owner = attackerIndex;
-                    this.ui.addLog(`拠点が制圧された！`);
-                    this.checkWinner();
-                }
+                await this.damageBase(defenderIndex, baseTarget.index, attackerIndex);
             }
+        } else if (battleResult.winner === 'repelled') {
+            this.ui.addLog(`${attackerCard.name}のBPが${battleResult.guardBp}以下のため、拠点を奪還できなかった`);
         } else if(battleResult.winner === 'defender') {
             this.sendToTrash(attackerIndex, attackerSlot);
             this.ui.addLog(`${attackerCard.name}は返り討ちにされた`);
@@ -450,61 +1089,324 @@ export class GameEngine {
              this.ui.addLog(`相打ち！両者破壊`);
              this.sendToTrash(attackerIndex, attackerSlot);
              if(defenderCard) {
-                this.sendToTrash(defenderIndex, targetIdentifier);
+                this.sendToTrash(defenderIndex, targetSlot);
             }
         }
 
+        await this.settleBoard();
         this.ui.unselectCard();
         this.ui.update(this.state);
     }
 
-    triggerEffect(playerIndex, card, sourceSlot, triggerType = 'onPlay') {
-        if (card.skill && card.skill.trigger === triggerType) {
-            const effect = this.effectRegistry.getEffect(card.skill.action);
-            if (effect) {
-                this.ui.addLog(`スキル発動！ ${card.name}: ${card.skill.action}`, 'skill');
-                effect(playerIndex, card, sourceSlot);
-                this.ui.update(this.state);
+    /**
+     * 拠点のゲージを1枚破壊する。破壊したゲージは公開し、ゲージスキルを持つカードはトラッシュに置いて拠点の持ち主がスキルを発動する。
+     * ゲージスキルを持たないカードは拠点の持ち主の手札に加わる。ゲージがなくなった拠点は攻撃したプレイヤーが制圧する。
+     * @param {number} defenderIndex - 拠点の持ち主
+     * @param {number} baseIndex - 拠点の番号
+     * @param {number} attackerIndex - 攻撃したプレイヤー
+     */
+    async damageBase(defenderIndex, baseIndex, attackerIndex) {
+        const defenderPlayer = this.state.players[defenderIndex];
+        const base = defenderPlayer.bases[baseIndex];
+        const gauge = base.gauges.pop();
+        if (gauge) {
+            delete gauge.faceUp;
+            const hasGaugeSkill = !!gauge.gaugeSkill && gauge.gaugeSkill.trigger === TRIGGERS.ON_GAUGE;
+            this.recordAction(ACTION_TYPES.GAUGE, { playerIndex: defenderIndex, baseIndex, cardUUID: gauge.uuid, cardName: gauge.name, destination: hasGaugeSkill ? 'trash' : 'hand' });
+            if (hasGaugeSkill) {
+                defenderPlayer.trash.push(gauge);
+                this.ui.addLog(`拠点のゲージが破壊され、${gauge.name}が公開された`);
+                await this.triggerEffect(defenderIndex, gauge, null, TRIGGERS.ON_GAUGE);
+            } else {
+                defenderPlayer.hand.push(gauge);
+                this.ui.addLog(`拠点のゲージが破壊され、${this.getPlayerName(defenderIndex)}の手札に加わった`);
             }
         }
+        if (base.gauges.length === 0 && base.owner !== attackerIndex) {
+            base.owner = attackerIndex;
+            this.ui.addLog(`拠点が制圧された！`);
+            this.checkWinner();
+            if (this.state.winner === null) this.events.enqueue(GAME_EVENTS.BASE_CONQUERED, { playerIndex: attackerIndex, baseIndex });
+        }
     }
 
-    isHumanTurn() { return this.state.activePlayerIndex === 0 && this.state.gameMode === 'PvE'; }
+    /**
+     * 相手に制圧された自分の拠点を奪還する。拠点は持ち主のものに戻る。
+     * 新しいゲージは奪還したプレイヤー自身のメインデッキの一番上（次に引くカード）から1枚取り、表向きで置く。
+     * デッキが空の場合はゲージのないまま拠点だけが戻る。
+     * @param {number} playerIndex - 奪還するプレイヤー（拠点の持ち主）
+     * @param {number} baseIndex - 拠点の番号
+     */
+    recaptureBase(playerIndex, baseIndex) {
+        const player = this.state.players[playerIndex];
+        const base = player.bases[baseIndex];
+        base.owner = null;
+        const gauge = player.mainDeck.pop();
+        if (gauge) {
+            gauge.faceUp = true;
+            base.gauges.push(gauge);
+        }
+        this.recordAction(ACTION_TYPES.RECAPTURE, { playerIndex, baseIndex, cardUUID: gauge ? gauge.uuid : null, cardName: gauge ? gauge.name : null });
+        this.ui.addLog(`${this.getPlayerName(playerIndex)}が拠点を奪還した！`);
+    }
+
+    async triggerEffect(playerIndex, card, sourceSlot, triggerType = TRIGGERS.ON_PLAY) {
+        if (this.state.winner !== null) return;
+        // ゲージとして破壊されたときは、通常のスキルではなくゲージスキルを発動する
+        const skill = triggerType === TRIGGERS.ON_GAUGE ? card.gaugeSkill : card.skill;
+        if (skill && skill.trigger === triggerType) {
+            const skillName = this.effectRegistry.describe(skill);
+            this.ui.addLog(`スキル発動！ ${card.name}: ${skillName}`, 'skill');
+            this.recordAction(ACTION_TYPES.EFFECT, { playerIndex, cardUUID: card.uuid, cardName: card.name, trigger: triggerType, action: skillName });
+            await this.effectRegistry.resolve(playerIndex, card, sourceSlot, skill);
+            await this.settleBoard();
+            this.ui.update(this.state);
+        }
+    }
+
+    /**
+     * プレイヤーの場にある全てのカードについて、指定したタイミングのスキルを発動させる。
+     * @param {number} playerIndex - 場の持ち主
+     * @param {string} triggerType - TRIGGERSのいずれか
+     */
+    async triggerFieldEffects(playerIndex, triggerType) {
+        const player = this.state.players[playerIndex];
+        for (const [slot, card] of Object.entries(player.field)) {
+            // 先に発動したスキルで場を離れたカードは発動しない
+            if (card && player.field[slot] === card) await this.triggerEffect(playerIndex, card, slot, triggerType);
+        }
+    }
+
+    /**
+     * 処理の途中で起きた出来事（破壊・拠点の制圧）のスキルを発動させ、常時効果を掛け直す。
+     * 盤面が変わる処理の最後に呼ぶ。
+     */
+    async settleBoard() {
+        await this.events.flush();
+        this.applyStaticEffects();
+    }
+
+    /**
+     * 常時効果（trigger: 'static'）を現在の盤面に合わせて掛け直す。
+     * 前回掛けた常時効果の修正と、発生源が場を離れた「場にある間」の修正を取り除いてから、場にあるカードの常時効果を改めて適用する。
+     */
+    applyStaticEffects() {
+        if (!this.state) return;
+        const fieldUUIDs = new Set(this.state.players.flatMap(player => Object.values(player.field).filter(Boolean).map(card => card.uuid)));
+        this.getAllCards().forEach(card => removeModifiers(card, modifier => modifier.aura
+            || (modifier.duration === MODIFIER_DURATIONS.WHILE_ON_FIELD && !fieldUUIDs.has(modifier.sourceUUID))));
+        // 全ての常時効果の対象を決めてから適用し、掛ける順番で対象が変わらないようにする
+        const modifiers = this.state.players.flatMap((player, playerIndex) => Object.entries(player.field)
+            .filter(([, card]) => card && card.skill && card.skill.trigger === TRIGGERS.STATIC)
+            .flatMap(([slot, card]) => this.effectRegistry.getStaticModifiers(playerIndex, card, slot)));
+        modifiers.forEach(({ card, source, playerIndex, amount }) => addModifier(card, {
+            sourceUUID: source.uuid,
+            sourceName: source.name,
+            playerIndex,
+            amount,
+            duration: MODIFIER_DURATIONS.WHILE_ON_FIELD,
+            turn: this.state.turn,
+            aura: true,
+        }));
+    }
+
+    /**
+     * スキルの対象をプレイヤーに選ばせる。効果の解決はここで中断し、選択が終わると再開する。
+     * 人間にはUIで、AIにはAIAgentのコールバックで選ばせ、どちらも合法な選択かを検証する。
+     * @param {number} playerIndex - 選ぶプレイヤー
+     * @param {Object[]} candidates - 候補 { playerIndex, zone, slot, card }
+     * @param {number} count - 選ぶ枚数
+     * @param {Object} effect - 実行中の効果
+     * @returns {Promise<Object[]>} 選ばれた対象
+     */
+    async chooseTargets(playerIndex, candidates, count, effect) {
+        const required = Math.min(count, candidates.length);
+        if (required === 0) return [];
+        // 候補を全て選ぶしかない場合は確認しない
+        if (required === candidates.length) return candidates;
+
+        if (!this.isHumanPlayer(playerIndex)) {
+            const aiChoice = this.ai.chooseTargets(playerIndex, candidates, required, effect);
+            return this.validateChoice(candidates, required, aiChoice.map(c => c.card.uuid)) || candidates.slice(0, required);
+        }
+
+        for (;;) {
+            const uuids = await this.ui.promptTargets(playerIndex, candidates, required, effect);
+            const chosen = this.validateChoice(candidates, required, uuids);
+            if (chosen) return chosen;
+            this.ui.addLog(`${required}枚選択してください`, "error");
+        }
+    }
+
+    /**
+     * 選ばれたカードが候補の中から重複なく必要枚数選ばれているか検証する。
+     * @param {Object[]} candidates - 候補
+     * @param {number} required - 必要な枚数
+     * @param {string[]} uuids - 選ばれたカードのuuid
+     * @returns {Object[]|null} 合法な場合は選ばれた候補、不正な場合はnull
+     */
+    validateChoice(candidates, required, uuids) {
+        if (!Array.isArray(uuids) || uuids.length !== required || new Set(uuids).size !== required) return null;
+        const chosen = uuids.map(uuid => candidates.find(c => c.card.uuid === uuid));
+        return chosen.every(Boolean) ? chosen : null;
+    }
+
+    /**
+     * 現在の試合のアクションログをJSONファイルとして書き出す。
+     */
+    exportActionLog() {
+        if (!this.actionLog) return;
+        this.ui.downloadJSON(`cnp-replay-${this.state.seed}-t${this.state.turn}.json`, this.actionLog.toJSON());
+    }
+
+    /**
+     * アクションログに1件記録する。
+     * @param {string} type - ACTION_TYPESのいずれか
+     * @param {Object} [payload] - アクション固有のデータ
+     */
+    recordAction(type, payload) {
+        if (this.actionLog) this.actionLog.record(type, this.state, payload);
+    }
+
+    isHumanTurn() { return this.isHumanPlayer(this.state.activePlayerIndex); }
+    /**
+     * 指定したプレイヤーを人間が操作するかどうか。
+     * @param {number} playerIndex - プレイヤーのインデックス
+     * @returns {boolean} 人間が操作する場合true
+     */
+    isHumanPlayer(playerIndex) {
+        if (this.state.gameMode === 'PvP') return true;
+        // オンライン対戦: サーバーでは両者、クライアントでは自分の席だけが人間の操作
+        if (this.state.gameMode === 'Online') return this.remote ? playerIndex === this.remote.playerIndex : true;
+        return this.state.gameMode === 'PvE' && playerIndex === 0;
+    }
     getPlayerName(index) { return this.state.playerNames[index]; }
     delay(ms) {
-        const speed = this.state.gameMode === 'EvE' ? 0.2 : 1;
+        const speed = this.speed ?? (this.state.gameMode === 'EvE' ? 0.2 : 1);
+        if (speed === 0) return Promise.resolve();
         return new Promise(res => setTimeout(res, (ms || CONFIG.AI_THINKING_TIME) * speed));
     }
     checkWinner() {
+        const basesToWin = getBasesToWin(this.state.rules);
         this.state.players.forEach((_, index) => {
-            const opponentIndex = (index + 1) % 2;
-            const conqueredBases = this.state.players[opponentIndex].bases.filter(b => b.owner === index).length;
-            if (conqueredBases >= 2) {
-                this.state.winner = index;
+            const conqueredBases = countConqueredBases(this.state, index);
+            if (this.state.winner === null && conqueredBases >= basesToWin) {
+                this.declareWinner(index, GAME_END_REASONS.BASES, { bases: conqueredBases });
             }
         });
     }
     drawCards(playerIndex, amount) {
         const player = this.state.players[playerIndex];
+        const drawn = [];
         for (let i = 0; i < amount; i++) {
             if (player.mainDeck.length > 0) {
-                player.hand.push(player.mainDeck.pop());
+                const card = player.mainDeck.pop();
+                player.hand.push(card);
+                drawn.push(card.uuid);
             } else {
                 this.ui.addLog("デッキ切れでドロー不可", "error");
+                if (this.state.rules.DECK_OUT_LOSS && this.state.winner === null) {
+                    this.declareWinner((playerIndex + 1) % 2, GAME_END_REASONS.DECK_OUT, { loser: playerIndex });
+                }
                 break;
             }
         }
-        this.ui.addLog(`${this.getPlayerName(playerIndex)}がカードを${amount}枚引いた`);
+        this.recordAction(ACTION_TYPES.DRAW, { playerIndex, cardUUIDs: drawn });
+        this.ui.addLog(`${this.getPlayerName(playerIndex)}がカードを${drawn.length}枚引いた`);
         this.ui.update(this.state);
     }
+    /**
+     * 場のカードを破壊してトラッシュに送る。破壊時のスキルは次の settleBoard() で発動する。
+     * @param {number} playerIndex - カードの持ち主
+     * @param {string} slot - スロット名
+     */
     sendToTrash(playerIndex, slot) {
+        const card = this.leaveField(playerIndex, slot);
+        if (card) {
+            this.state.players[playerIndex].trash.push(card);
+            this.events.enqueue(GAME_EVENTS.CARD_DESTROYED, { playerIndex, card });
+        }
+    }
+
+    /**
+     * カードを場から取り除く。場で受けたBPの修正とレスト・移動済みの状態はここで消え、
+     * 手札やトラッシュを経て再び場に出たときに前の修正を持ち越さない。
+     * @param {number} playerIndex - カードの持ち主
+     * @param {string} slot - スロット名
+     * @returns {Object|null} 取り除いたカード。スロットが空の場合はnull
+     */
+    leaveField(playerIndex, slot) {
         const player = this.state.players[playerIndex];
         const card = player.field[slot];
-        if (card) {
-            player.trash.push(card);
-            player.field[slot] = null;
+        if (!card) return null;
+        player.field[slot] = null;
+        clearModifiers(card);
+        card.rested = false;
+        card.moved = false;
+        return card;
+    }
+
+    /**
+     * 攻撃の宣言に対する防御側の応答（パス・ブロック・カウンター）を決める。
+     * 人間にはUIで、AIにはAIAgentのコールバックで選ばせ、どちらも合法な応答かを検証する。
+     * @param {number} defenderIndex - 防御するプレイヤー
+     * @param {{attackerIndex: number, attackerSlot: string, target: string}} attack - 宣言された攻撃
+     * @returns {Promise<Object>} 応答 { type: 'pass' } | { type: 'block', blockerSlot } | { type: 'counter', cardUUID }
+     */
+    async requestDefenderResponse(defenderIndex, attack) {
+        const responses = getLegalResponses(this.state, defenderIndex, attack);
+        // パス以外に選べる応答がない場合は確認しない
+        if (responses.length <= 1) return { type: 'pass' };
+
+        if (!this.isHumanPlayer(defenderIndex)) {
+            const aiResponse = this.ai.chooseDefenderResponse(defenderIndex, attack, responses);
+            return aiResponse && isLegalAction(responses, aiResponse) ? aiResponse : { type: 'pass' };
+        }
+
+        // ホットシート対戦では、防御側の手札（カウンターイベント）が攻撃側に見えないよう端末を渡してから選ばせ、選んだ後に攻撃側へ戻す
+        const handOver = this.state.gameMode === 'PvP';
+        if (handOver) await this.ui.requestHandOver(defenderIndex);
+        let response;
+        for (;;) {
+            response = await this.ui.promptDefenderResponse(defenderIndex, attack, responses);
+            if (response && isLegalAction(responses, response)) break;
+            this.ui.addLog("その応答は選べません", "error");
         }
+        if (handOver) await this.ui.requestHandOver(attack.attackerIndex);
+        return response;
     }
+
+    /**
+     * 防御側がカウンターイベントを使う。コストを支払って効果を解決し、トラッシュに送る。
+     * @param {number} playerIndex - 使うプレイヤー
+     * @param {string} cardUUID - 手札のカウンターイベントのuuid
+     */
+    async playCounterEvent(playerIndex, cardUUID) {
+        const player = this.state.players[playerIndex];
+        const cardIndex = player.hand.findIndex(c => c.uuid === cardUUID);
+        if (cardIndex === -1) return;
+        const playedCard = player.hand.splice(cardIndex, 1)[0];
+        payCost(player, playedCard);
+        this.recordAction(ACTION_TYPES.PLAY, { playerIndex, cardUUID: playedCard.uuid, cardName: playedCard.name, slot: null, counter: true });
+        this.ui.addLog(`${this.getPlayerName(playerIndex)}がカウンター「${playedCard.name}」を使用`);
+        await this.triggerEffect(playerIndex, playedCard, null, TRIGGERS.COUNTER);
+        player.trash.push(playedCard);
+        await this.settleBoard();
+        this.ui.update(this.state);
+    }
+
+    /**
+     * ブロックされなかった奪還の攻撃の結果を決める。攻撃するユニットのBPが、拠点を制圧している相手の場のユニットの最高BPを上回れば奪還できる。
+     * 上回らない場合は押し返され（'repelled'）、攻撃したユニットはレストするだけで破壊されない。
+     * @param {Object} attacker - 攻撃するユニット
+     * @param {Object} occupier - 拠点を制圧しているプレイヤー
+     * @returns {{winner: string, guardBp: number}} 結果と必要だったBP
+     */
+    resolveRecapture(attacker, occupier) {
+        const guardBp = getRecaptureGuardBp(occupier);
+        return { winner: attacker.bp > guardBp ? 'attacker' : 'repelled', guardBp };
+    }
+
     resolveBattle(attacker, defender) {
         if (!defender) return { winner: 'attacker' };
         if (attacker.bp > defender.bp) return { winner: 'attacker' };
@@ -512,9 +1414,8 @@ export class GameEngine {
         return { winner: 'draw' };
     }
     endPhaseForPlayer() {
-        if (this.isHumanTurn() && !this.isProcessing && this.actionPromise) {
-            this.actionPromise.resolve();
-            this.actionPromise = null;
+        if (this.isHumanTurn() && !this.isProcessing) {
+            this.submitAction({ type: 'endPhase' });
         }
     }
 }
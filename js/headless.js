@@ -0,0 +1,31 @@
+import { GameEngine } from './gameEngine.js';
+import { NullUI } from './uiAdapters.js';
+
+/**
+ * DOMを使わずに動作するGameEngineを生成する。
+ * @param {Object} [options]
+ * @param {Function} [options.createUI] - UIアダプタのファクトリ（既定はNullUI）
+ * @returns {GameEngine} 待機時間なしで動作するエンジン
+ */
+export function createHeadlessEngine({ createUI = engine => new NullUI(engine) } = {}) {
+    return new GameEngine({ createUI, speed: 0 });
+}
+
+/**
+ * カードデータを受け取り、AI同士の対戦を最後まで実行する。
+ * @param {Object[]} cardsData - カードデータの配列（data/cards.json と同じ形式）
+ * @param {Object} [options]
+ * @param {string[]} [options.playerNames] - プレイヤー名
+ * @param {number|string} [options.seed] - 乱数シード。同じシードなら同じ試合が再現される
+ * @param {Function} [options.createUI] - UIアダプタのファクトリ
+ * @param {(Object|null)[]} [options.decks] - 各プレイヤーのデッキ。nullの場合は全カード
+ * @param {string[]} [options.aiDifficulty] - 各AIの難易度（AI_DIFFICULTIESのキー）
+ * @param {Object} [options.rules] - 試合のルール。省略時は標準ルール
+ * @returns {Promise<{engine: GameEngine, state: Object}>} エンジンと終了時のゲーム状態
+ */
+export async function runHeadlessMatch(cardsData, { playerNames = ['AI 1', 'AI 2'], seed, createUI, decks, aiDifficulty, rules } = {}) {
+    const engine = createHeadlessEngine({ createUI });
+    engine.state = engine.createInitialGameState(cardsData, 'EvE', playerNames, seed, decks, aiDifficulty, rules);
+    const state = await engine.runGameLoop();
+    return { engine, state };
+}
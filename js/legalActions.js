@@ -0,0 +1,171 @@
+import { PHASES, CARD_TYPES, TRIGGERS } from './constants.js';
+import { canPayCost } from './reiki.js';
+
+// リアガード（後列）のスロットと、その前にあるヴァンガード（前列）のスロット
+const FRONT_SLOTS = { rearguard1: 'vanguard1', rearguard2: 'vanguard2' };
+
+/**
+ * スロットが攻撃に参加できる位置（ヴァンガード・リアガード）かどうか。
+ * @param {string} slot - スロット名
+ * @returns {boolean} 攻撃できる位置ならtrue
+ */
+export function isUnitSlot(slot) {
+    return slot.includes('vanguard') || slot.includes('rearguard');
+}
+
+/**
+ * スロットがヴァンガード（前列）かどうか。
+ * @param {string} slot - スロット名
+ * @returns {boolean} 前列ならtrue
+ */
+export function isVanguardSlot(slot) {
+    return slot.includes('vanguard');
+}
+
+/**
+ * リアガードのスロットの前にヴァンガードのユニットがいるかどうか。
+ * 前にユニットがいるリアガードは攻撃対象にならず、自分からも攻撃できない。
+ * @param {Object} player - スロットの持ち主
+ * @param {string} slot - スロット名
+ * @returns {boolean} 前のヴァンガードにユニットがいる場合true
+ */
+export function isBehindVanguard(player, slot) {
+    return !!FRONT_SLOTS[slot] && !!player.field[FRONT_SLOTS[slot]];
+}
+
+/**
+ * 場のユニットを移動できる先のスロットかどうか。ヴァンガードとリアガードの間でのみ移動できる。
+ * @param {string} fromSlot - 移動元のスロット
+ * @param {string} toSlot - 移動先のスロット
+ * @returns {boolean} 移動できる場合true
+ */
+export function canMoveBetween(fromSlot, toSlot) {
+    return isUnitSlot(fromSlot) && isUnitSlot(toSlot) && isVanguardSlot(fromSlot) !== isVanguardSlot(toSlot);
+}
+
+/**
+ * 攻撃対象の識別子が拠点を指す場合、どの拠点かを返す。
+ * 'base{n}' は相手の拠点（制圧を狙う）、'ownBase{n}' は相手に制圧された自分の拠点（奪還を狙う）を指す。
+ * @param {string} target - 攻撃対象の識別子
+ * @returns {{own: boolean, index: number}|null} 拠点でない場合はnull
+ */
+export function parseBaseTarget(target) {
+    const match = /^(base|ownBase)(\d+)$/.exec(target || '');
+    return match ? { own: match[1] === 'ownBase', index: Number(match[2]) } : null;
+}
+
+/**
+ * 相手に制圧された拠点を奪還するために、攻撃するユニットが上回る必要があるBP。
+ * 拠点を制圧しているプレイヤーの場のユニットのうち最も高いBPで、ユニットがいなければ0。
+ * @param {Object} occupier - 拠点を制圧しているプレイヤー
+ * @returns {number} 奪還に必要なBP（これより高いBPが必要）
+ */
+export function getRecaptureGuardBp(occupier) {
+    return Object.entries(occupier.field)
+        .filter(([slot, card]) => card && isUnitSlot(slot))
+        .reduce((max, [, card]) => Math.max(max, card.bp), 0);
+}
+
+/**
+ * カードをそのスロットに配置できる種類かどうか。空いているかは確認しない。
+ * @param {Object} card - カード
+ * @param {string} slot - スロット名
+ * @returns {boolean} 配置できる場合true
+ */
+export function canPlaceInSlot(card, slot) {
+    if (card.type === CARD_TYPES.UNIT) return isUnitSlot(slot);
+    if (card.type === CARD_TYPES.SUPPORT) return slot === 'support';
+    return false;
+}
+
+/**
+ * 攻撃を受けたときにだけ使えるカウンターイベントかどうか。
+ * @param {Object} card - カード
+ * @returns {boolean} カウンターイベントならtrue
+ */
+export function isCounterEvent(card) {
+    return card.type === CARD_TYPES.EVENT && !!card.skill && card.skill.trigger === TRIGGERS.COUNTER;
+}
+
+/**
+ * 現在の状態でプレイヤーが実行できる全ての操作を列挙する。
+ * UIの強調表示、AIの候補手、サーバーでの操作の検証はすべてこの結果に従う。
+ * @param {Object} state - ゲーム状態
+ * @param {number} playerIndex - 操作するプレイヤー
+ * @returns {Object[]} { type: 'play', cardUUID, slot } | { type: 'move', fromSlot, toSlot } | { type: 'attack', attackerSlot, target } | { type: 'endPhase' } の配列
+ */
+export function getLegalActions(state, playerIndex) {
+    if (!state || state.winner !== null || playerIndex !== state.activePlayerIndex) return [];
+    const player = state.players[playerIndex];
+    const opponentIndex = (playerIndex + 1) % 2;
+    const opponent = state.players[opponentIndex];
+    const actions = [];
+
+    if (state.phase === PHASES.MAIN) {
+        player.hand.forEach(card => {
+            if (!card || !canPayCost(player, card) || isCounterEvent(card)) return;
+            if (card.type === CARD_TYPES.EVENT) {
+                actions.push({ type: 'play', cardUUID: card.uuid, slot: null });
+                return;
+            }
+            Object.keys(player.field)
+                .filter(slot => !player.field[slot] && canPlaceInSlot(card, slot))
+                .forEach(slot => actions.push({ type: 'play', cardUUID: card.uuid, slot }));
+        });
+        // ユニットの移動。移動先にユニットがいる場合は入れ替える。移動は各ユニット1ターンに1回まで
+        const canMove = card => card && !card.rested && !card.moved;
+        Object.entries(player.field)
+            .filter(([slot, card]) => canMove(card) && isUnitSlot(slot))
+            .forEach(([fromSlot]) => Object.keys(player.field)
+                .filter(toSlot => canMoveBetween(fromSlot, toSlot) && (!player.field[toSlot] || canMove(player.field[toSlot])))
+                .forEach(toSlot => actions.push({ type: 'move', fromSlot, toSlot })));
+    } else if (state.phase === PHASES.BATTLE) {
+        const targets = [
+            ...Object.keys(opponent.field).filter(slot => opponent.field[slot] && !isBehindVanguard(opponent, slot)),
+            // 制圧済みの拠点には攻撃しても意味がないため含めない
+            ...opponent.bases.flatMap((base, index) => (base.owner === playerIndex ? [] : [`base${index}`])),
+            // 相手に制圧された自分の拠点は攻撃して奪還できる。奪還を狙う攻撃は1ターンに1回まで
+            ...(player.recapturedThisTurn ? [] : player.bases.flatMap((base, index) => (base.owner === opponentIndex ? [`ownBase${index}`] : []))),
+        ];
+        Object.entries(player.field)
+            .filter(([slot, card]) => card && !card.rested && isUnitSlot(slot) && !isBehindVanguard(player, slot))
+            .forEach(([attackerSlot]) => targets.forEach(target => actions.push({ type: 'attack', attackerSlot, target })));
+    } else {
+        return actions;
+    }
+
+    actions.push({ type: 'endPhase' });
+    return actions;
+}
+
+/**
+ * 攻撃を宣言されたときに防御側が選べる応答を列挙する。
+ * ブロックは攻撃対象以外のレストしていないユニットで行い、攻撃をそのユニットに向け直す。
+ * カウンターはコストを支払えるカウンターイベントを手札から使う。
+ * @param {Object} state - ゲーム状態
+ * @param {number} playerIndex - 防御するプレイヤー
+ * @param {{attackerSlot: string, target: string}} attack - 宣言された攻撃
+ * @returns {Object[]} { type: 'pass' } | { type: 'block', blockerSlot } | { type: 'counter', cardUUID } の配列
+ */
+export function getLegalResponses(state, playerIndex, attack) {
+    if (!state || state.winner !== null) return [];
+    const player = state.players[playerIndex];
+    const responses = [{ type: 'pass' }];
+    Object.entries(player.field)
+        .filter(([slot, card]) => card && !card.rested && isUnitSlot(slot) && slot !== attack.target)
+        .forEach(([blockerSlot]) => responses.push({ type: 'block', blockerSlot }));
+    player.hand
+        .filter(card => card && isCounterEvent(card) && canPayCost(player, card))
+        .forEach(card => responses.push({ type: 'counter', cardUUID: card.uuid }));
+    return responses;
+}
+
+/**
+ * 操作が合法手の一覧に含まれているかどうか。合法手の持つ項目が全て一致すれば含まれているとみなす。
+ * @param {Object[]} legalActions - getLegalActions() または getLegalResponses() の結果
+ * @param {Object} action - 確認する操作
+ * @returns {boolean} 含まれている場合true
+ */
+export function isLegalAction(legalActions, action) {
+    return legalActions.some(legal => Object.entries(legal).every(([key, value]) => (action[key] ?? null) === value));
+}
@@ -1,10 +1,11 @@
 import { GameEngine } from './gameEngine.js';
+import { UIManager } from './uiManager.js';
 
 /**
  * DOMが読み込まれたらゲームを開始するエントリーポイント
  */
 document.addEventListener('DOMContentLoaded', () => {
     // GameEngineのインスタンスを作成してゲームを開始
-    const game = new GameEngine();
+    const game = new GameEngine({ createUI: engine => new UIManager(engine) });
     game.start();
 });
@@ -0,0 +1,99 @@
+/**
+ * オンライン対戦でクライアントとサーバーがやり取りするメッセージの種類を定義します。
+ */
+export const MESSAGE_TYPES = {
+    // クライアント → サーバー
+    JOIN: 'join',
+    REJOIN: 'rejoin',
+    ACTION: 'action',
+    CHOICE_RESPONSE: 'choiceResponse',
+    DEFENSE_RESPONSE: 'defenseResponse',
+    SETUP_RESPONSE: 'setupResponse',
+    // サーバー → クライアント
+    JOINED: 'joined',
+    WAITING: 'waiting',
+    STATE: 'state',
+    DIFF: 'diff',
+    LOG: 'log',
+    ATTACK_EFFECT: 'attackEffect',
+    CHOICE_REQUEST: 'choiceRequest',
+    DEFENSE_REQUEST: 'defenseRequest',
+    SETUP_REQUEST: 'setupRequest',
+    OPPONENT_STATUS: 'opponentStatus',
+    ERROR: 'error',
+    GAME_OVER: 'gameOver',
+};
+
+/**
+ * 攻撃への応答（ブロック・カウンター）を待つ時間（ミリ秒）。過ぎた場合はパスとして扱う。
+ */
+export const DEFENSE_TIMEOUT_MS = 15000;
+
+/**
+ * 試合開始前の選択（じゃんけん・マリガン）を待つ時間（ミリ秒）。過ぎた場合はランダムな手・手札の確定として扱う。
+ */
+export const SETUP_TIMEOUT_MS = 20000;
+
+/**
+ * 指定したプレイヤーから見えるゲーム状態を作る。
+ * 相手の手札、両者のデッキ順、裏向きの拠点のゲージは枚数だけを残して隠す。
+ * シードからは全てのシャッフルを再現できてしまうため、シードも送らない（試合終了時に GAME_OVER で知らせる）。
+ * @param {Object} state - サーバーが持つ完全なゲーム状態
+ * @param {number} viewerIndex - 閲覧するプレイヤー
+ * @param {boolean} awaitingInput - サーバーがアクティブプレイヤーの操作を待っているか
+ * @returns {Object} 送信用のゲーム状態
+ */
+export function createPlayerView(state, viewerIndex, awaitingInput) {
+    const view = structuredClone(state);
+    const hide = cards => cards.map(() => null);
+    view.players.forEach((player, index) => {
+        if (index !== viewerIndex) player.hand = hide(player.hand);
+        player.mainDeck = hide(player.mainDeck);
+        player.reikiDeck = hide(player.reikiDeck);
+        player.bases.forEach(base => { base.gauges = base.gauges.map(card => (card && card.faceUp ? card : null)); });
+    });
+    delete view.seed;
+    view.viewerIndex = viewerIndex;
+    view.awaitingInput = awaitingInput;
+    return view;
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 2つの状態の差分を求める。オブジェクトはキーごと、同じ長さの配列は要素ごとに再帰し、それ以外は値を丸ごと置き換える。
+ * @param {*} prev - 前回送信した状態
+ * @param {*} next - 新しい状態
+ * @param {Array} [path] - 現在のパス
+ * @param {Object[]} [ops] - 差分の蓄積先
+ * @returns {{path: Array, value?: *, remove?: boolean}[]} 差分の配列
+ */
+export function diffState(prev, next, path = [], ops = []) {
+    if (isPlainObject(prev) && isPlainObject(next)) {
+        Object.keys(next).forEach(key => diffState(prev[key], next[key], [...path, key], ops));
+        Object.keys(prev).forEach(key => {
+            if (!(key in next)) ops.push({ path: [...path, key], remove: true });
+        });
+    } else if (Array.isArray(prev) && Array.isArray(next) && prev.length === next.length) {
+        next.forEach((item, index) => diffState(prev[index], item, [...path, index], ops));
+    } else if (JSON.stringify(prev) !== JSON.stringify(next)) {
+        ops.push({ path, value: next });
+    }
+    return ops;
+}
+
+/**
+ * diffState() で求めた差分を状態に適用する。
+ * @param {Object} target - 適用先の状態（直接書き換える）
+ * @param {Object[]} ops - 差分の配列
+ * @returns {Object} 適用後の状態
+ */
+export function applyDiff(target, ops) {
+    ops.forEach(({ path, value, remove }) => {
+        const parent = path.slice(0, -1).reduce((obj, key) => obj[key], target);
+        const key = path[path.length - 1];
+        if (remove) delete parent[key];
+        else parent[key] = value;
+    });
+    return target;
+}
@@ -0,0 +1,172 @@
+import { MESSAGE_TYPES, applyDiff } from './netProtocol.js';
+
+const SESSION_KEY = 'cnp-battle-arena:online-session';
+const RECONNECT_DELAY = 2000;
+const MAX_RECONNECT_ATTEMPTS = 5;
+
+/**
+ * オンライン対戦でマッチサーバーと通信し、受け取った状態をエンジンとUIに反映するクラス。
+ * ゲームのルール処理はサーバーが行い、クライアントは操作の送信と表示だけを担当する。
+ */
+export class OnlineClient {
+    constructor(engine, url) {
+        this.engine = engine;
+        this.url = url;
+        this.socket = null;
+        this.playerIndex = null;
+        this.token = null;
+        this.reconnectAttempts = 0;
+        this.finished = false;
+    }
+
+    /**
+     * 前回のページで参加していた試合の情報を取得する。
+     * @returns {{url: string, token: string}|null} 再接続に必要な情報
+     */
+    static loadSession() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_KEY));
+        } catch {
+            return null;
+        }
+    }
+
+    static clearSession() {
+        localStorage.removeItem(SESSION_KEY);
+    }
+
+    /**
+     * サーバーに接続する。tokenを渡した場合は既存の試合に再接続する。
+     * @param {Object} options
+     * @param {string} [options.name] - 新規参加時のプレイヤー名
+     * @param {string} [options.token] - 再接続用のトークン
+     */
+    connect({ name, token } = {}) {
+        this.socket = new WebSocket(this.url);
+        this.socket.onopen = () => {
+            this.reconnectAttempts = 0;
+            if (token || this.token) this.send({ type: MESSAGE_TYPES.REJOIN, token: token || this.token });
+            else this.send({ type: MESSAGE_TYPES.JOIN, name });
+        };
+        this.socket.onmessage = event => this.handleMessage(JSON.parse(event.data));
+        this.socket.onclose = () => this.handleClose();
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * プレイヤーの操作をサーバーに送信する。
+     * @param {Object} action - GameEngine.applyAction と同じ形式の操作
+     */
+    sendAction(action) {
+        this.engine.isProcessing = true;
+        this.send({ type: MESSAGE_TYPES.ACTION, action });
+    }
+
+    handleClose() {
+        if (this.finished) return;
+        if (this.token && this.reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+            this.reconnectAttempts++;
+            this.engine.ui.addLog(`サーバーとの接続が切れました。再接続しています... (${this.reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`, 'error');
+            setTimeout(() => this.connect(), RECONNECT_DELAY);
+            return;
+        }
+        OnlineClient.clearSession();
+        this.engine.ui.showModal("接続エラー", "マッチサーバーに接続できませんでした。", [{ text: "戻る", callback: () => window.location.reload() }]);
+    }
+
+    /**
+     * サーバーからのメッセージを処理する。
+     * @param {Object} message - 受信したメッセージ
+     */
+    handleMessage(message) {
+        const { engine } = this;
+        const { ui } = engine;
+        switch (message.type) {
+            case MESSAGE_TYPES.JOINED:
+                this.token = message.token;
+                this.playerIndex = message.playerIndex;
+                ui.viewIndex = message.playerIndex;
+                localStorage.setItem(SESSION_KEY, JSON.stringify({ url: this.url, token: this.token }));
+                break;
+            case MESSAGE_TYPES.WAITING:
+                ui.showModal("対戦相手を待っています", "別のタブやブラウザで同じサーバーに接続してください。", []);
+                break;
+            case MESSAGE_TYPES.STATE:
+                if (!engine.state) {
+                    ui.hideModal();
+                    ui.hideSplashScreen();
+                }
+                this.applyState(message.state);
+                break;
+            case MESSAGE_TYPES.DIFF:
+                this.applyState(applyDiff(engine.state, message.ops));
+                break;
+            case MESSAGE_TYPES.LOG:
+                ui.addLog(message.message, message.logType);
+                break;
+            case MESSAGE_TYPES.ATTACK_EFFECT: {
+                const cards = engine.state.players.flatMap(p => Object.values(p.field));
+                const attacker = cards.find(c => c && c.uuid === message.attackerUUID);
+                const target = cards.find(c => c && c.uuid === message.target) || message.target;
+                if (attacker) ui.showAttackEffect(attacker, target);
+                break;
+            }
+            case MESSAGE_TYPES.CHOICE_REQUEST:
+                ui.promptTargets(message.playerIndex, message.candidates, message.count, message.effect).then(uuids => {
+                    this.send({ type: MESSAGE_TYPES.CHOICE_RESPONSE, requestId: message.requestId, uuids });
+                });
+                break;
+            case MESSAGE_TYPES.DEFENSE_REQUEST:
+                ui.promptDefenderResponse(message.playerIndex, message.attack, message.responses, message.timeout).then(response => {
+                    this.send({ type: MESSAGE_TYPES.DEFENSE_RESPONSE, requestId: message.requestId, response });
+                });
+                break;
+            case MESSAGE_TYPES.SETUP_REQUEST: {
+                const answer = message.kind === 'rps'
+                    ? ui.promptRps(message.playerIndex, message.timeout)
+                    : ui.promptMulligan(message.playerIndex, engine.state.players[message.playerIndex].hand, message.timeout);
+                answer.then(choice => {
+                    this.send({ type: MESSAGE_TYPES.SETUP_RESPONSE, requestId: message.requestId, choice });
+                });
+                break;
+            }
+            case MESSAGE_TYPES.OPPONENT_STATUS:
+                ui.addLog(message.connected ? "対戦相手が接続しました" : "対戦相手の接続が切れました", message.connected ? 'info' : 'error');
+                break;
+            case MESSAGE_TYPES.ERROR:
+                ui.addLog(message.message, 'error');
+                if (message.fatal) {
+                    this.finished = true;
+                    OnlineClient.clearSession();
+                    ui.showModal("エラー", message.message, [{ text: "戻る", callback: () => window.location.reload() }]);
+                }
+                break;
+            case MESSAGE_TYPES.GAME_OVER: {
+                this.finished = true;
+                OnlineClient.clearSession();
+                if (message.seed !== undefined && engine.state) {
+                    engine.state.seed = message.seed;
+                    ui.update(engine.state);
+                }
+                const title = message.aborted ? "試合中断" : message.winner !== null ? `${engine.getPlayerName(message.winner)}の勝利！` : "引き分け";
+                ui.showModal(title, message.reason, [{ text: "もう一度プレイ", callback: () => window.location.reload() }]);
+                break;
+            }
+        }
+    }
+
+    /**
+     * サーバーから受け取った状態をエンジンに反映して再描画する。
+     * @param {Object} state - 自分から見たゲーム状態
+     */
+    applyState(state) {
+        this.engine.state = state;
+        this.engine.isProcessing = !(state.awaitingInput && state.activePlayerIndex === this.playerIndex);
+        this.engine.ui.update(state);
+    }
+}
@@ -0,0 +1,89 @@
+import { CARD_TYPES } from './constants.js';
+
+/**
+ * レイキ（カードのコストの支払いに使う資源）を扱う関数群。
+ * プレイヤーは毎ターン、レイキデッキの上から1枚をレイキゾーンに置き、ゾーンのレイキカードがその色のレイキになる。
+ * 最大レイキのうちゾーンのカードで賄えない分は無色のレイキとして扱う。
+ * player.reiki は使えるレイキの合計、player.reikiColors はそのうちの色ごとの内訳。
+ */
+
+/**
+ * レイキゾーンのカードを色ごとに数える。
+ * @param {Object} player - プレイヤーの状態
+ * @returns {Object<string, number>} 色 → 枚数
+ */
+export function countZoneColors(player) {
+    const colors = {};
+    (player.reikiZone || []).forEach(card => {
+        if (card.color) colors[card.color] = (colors[card.color] || 0) + 1;
+    });
+    return colors;
+}
+
+/**
+ * ターンの始めにレイキを最大値まで回復する。色の内訳はレイキゾーンから決まる。
+ * @param {Object} player - プレイヤーの状態
+ */
+export function refillReiki(player) {
+    player.reiki = player.maxReiki;
+    player.reikiColors = countZoneColors(player);
+}
+
+/**
+ * 使えるレイキのうち無色の分を求める。
+ * @param {Object} player - プレイヤーの状態
+ * @returns {number} 無色のレイキ
+ */
+export function getColorlessReiki(player) {
+    return Math.max(0, player.reiki - Object.values(player.reikiColors || {}).reduce((sum, count) => sum + count, 0));
+}
+
+/**
+ * カードのコストを支払えるかどうか。色を持つカードは、コストのうち1以上をその色のレイキで支払う必要がある。
+ * @param {Object} player - プレイヤーの状態
+ * @param {Object} card - 支払うカード
+ * @returns {boolean} 支払える場合true
+ */
+export function canPayCost(player, card) {
+    if (card.cost > player.reiki) return false;
+    if (!requiresColor(card)) return true;
+    return ((player.reikiColors || {})[card.color] || 0) >= 1;
+}
+
+/**
+ * カードのコストを支払う。色の指定がある分をその色で払い、残りは無色、足りなければ多く残っている色から払う。
+ * 支払えるかは canPayCost() で確認しておくこと。合計と色の内訳がずれていて払える色が尽きた場合は、残りを合計からだけ差し引く。
+ * @param {Object} player - プレイヤーの状態
+ * @param {Object} card - 支払うカード
+ */
+export function payCost(player, card) {
+    const colors = { ...(player.reikiColors || {}) };
+    let remaining = card.cost;
+    if (requiresColor(card)) {
+        colors[card.color]--;
+        remaining--;
+    }
+    remaining -= Math.min(remaining, getColorlessReiki(player));
+    while (remaining > 0) {
+        const left = Object.entries(colors).filter(([, count]) => count > 0);
+        if (left.length === 0) break;
+        const [color] = left.sort(([, a], [, b]) => b - a)[0];
+        colors[color]--;
+        remaining--;
+    }
+    player.reiki -= card.cost;
+    player.reikiColors = Object.fromEntries(Object.entries(colors).filter(([, count]) => count > 0));
+}
+
+/**
+ * スキルなどで無色のレイキを獲得する（最大レイキを超えない）。
+ * @param {Object} player - プレイヤーの状態
+ * @param {number} amount - 獲得する量
+ */
+export function gainReiki(player, amount) {
+    player.reiki = Math.min(player.maxReiki, player.reiki + amount);
+}
+
+function requiresColor(card) {
+    return !!card.color && card.type !== CARD_TYPES.REIKI && card.cost > 0;
+}
@@ -0,0 +1,75 @@
+import { ActionLog, formatAction } from './actionLog.js';
+import { describeRules } from './ruleManager.js';
+
+/**
+ * 書き出したアクションログを読み込み、ターン単位で盤面を再生するクラス。
+ */
+export class ReplayViewer {
+    constructor(engine, ui) {
+        this.engine = engine;
+        this.ui = ui;
+        this.log = null;
+        this.snapshotIndex = 0;
+        this.init();
+    }
+
+    /**
+     * イベントリスナーを初期化する。
+     */
+    init() {
+        const fileInput = document.getElementById('replay-file-input');
+        document.getElementById('open-replay-btn').onclick = () => fileInput.click();
+        fileInput.onchange = async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) await this.loadFile(file);
+        };
+        document.getElementById('replay-prev-btn').onclick = () => this.show(this.snapshotIndex - 1);
+        document.getElementById('replay-next-btn').onclick = () => this.show(this.snapshotIndex + 1);
+        document.getElementById('replay-exit-btn').onclick = () => window.location.reload();
+    }
+
+    /**
+     * リプレイファイルを読み込んで再生を開始する。
+     * @param {File} file - 書き出したJSONファイル
+     */
+    async loadFile(file) {
+        try {
+            this.log = ActionLog.fromJSON(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('リプレイの読み込みに失敗しました:', error);
+            this.ui.showModal('読み込みエラー', error.message, [{ text: '閉じる', callback: () => this.ui.hideModal() }]);
+            return;
+        }
+        this.ui.hideSplashScreen();
+        document.getElementById('replay-controls').classList.remove('hidden');
+        this.show(0);
+    }
+
+    /**
+     * 指定したスナップショットの盤面とそのターンのアクションを表示する。
+     * @param {number} index - スナップショットの番号
+     */
+    show(index) {
+        if (!this.log || index < 0 || index >= this.log.snapshots.length) return;
+        this.snapshotIndex = index;
+        this.engine.state = this.log.restoreSnapshot(index);
+        this.ui.update(this.engine.state);
+
+        const logEl = document.getElementById('battle-log');
+        logEl.innerHTML = '';
+        const lines = this.log.getActionsForSnapshot(index).map(action => formatAction(action, this.log.meta.playerNames));
+        // 最初のターンには試合のルールも表示する
+        if (index === 0) lines.unshift(`ルール: ${describeRules(this.engine.state.rules)}`);
+        lines.forEach(line => {
+            const entry = document.createElement('p');
+            entry.className = 'log-entry visible text-gray-300';
+            entry.textContent = line;
+            logEl.appendChild(entry);
+        });
+
+        document.getElementById('replay-position').textContent = `${index + 1} / ${this.log.snapshots.length}`;
+        document.getElementById('replay-prev-btn').disabled = index === 0;
+        document.getElementById('replay-next-btn').disabled = index === this.log.snapshots.length - 1;
+    }
+}
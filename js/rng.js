@@ -0,0 +1,107 @@
+/**
+ * シード値から再現可能な乱数列を生成する擬似乱数生成器（mulberry32）。
+ * 同じシードからは常に同じシャッフル・UUIDが得られる。
+ */
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - シード値。文字列の場合はハッシュ化して使用する
+     */
+    constructor(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * 数値・文字列のシードを32bit符号なし整数に変換する。
+     * 数字のみの文字列は数値として扱うため、画面に表示したシードを入力し直しても同じ結果になる。
+     * @param {number|string} seed - シード値
+     * @returns {number} 32bit符号なし整数
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'string') {
+            const trimmed = seed.trim();
+            if (/^\d+$/.test(trimmed)) return Number(trimmed) >>> 0;
+            // FNV-1a ハッシュ
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < trimmed.length; i++) {
+                hash ^= trimmed.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+        return Number(seed) >>> 0;
+    }
+
+    /**
+     * 新しいシード値をランダムに生成する。
+     * @returns {number} 32bit符号なし整数
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * 保存用に現在の内部状態を返す。
+     * @returns {{seed: number, state: number}} 内部状態
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * getState() で保存した内部状態から生成器を復元する。
+     * @param {{seed: number, state: number}} saved - 内部状態
+     * @returns {SeededRandom} 続きから乱数を生成する生成器
+     */
+    static fromState(saved) {
+        const rng = new SeededRandom(saved.seed);
+        rng.state = saved.state >>> 0;
+        return rng;
+    }
+
+    /**
+     * [0, 1) の乱数を返す。
+     * @returns {number} 乱数
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * [0, max) の整数乱数を返す。
+     * @param {number} max - 上限（含まない）
+     * @returns {number} 整数乱数
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Fisher-Yates法で配列をその場でシャッフルする。
+     * @param {Array} array - シャッフルする配列
+     * @returns {Array} シャッフルされた同じ配列
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * 乱数列からUUID (v4形式) を生成する。
+     * @returns {string} UUID文字列
+     */
+    uuid() {
+        const hex = Array.from({ length: 16 }, () => this.nextInt(256));
+        hex[6] = (hex[6] & 0x0f) | 0x40;
+        hex[8] = (hex[8] & 0x3f) | 0x80;
+        const s = hex.map(b => b.toString(16).padStart(2, '0')).join('');
+        return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(16, 20)}-${s.slice(20)}`;
+    }
+}
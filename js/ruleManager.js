@@ -0,0 +1,154 @@
+import { DECK_RULES } from './constants.js';
+
+const STORAGE_KEY = 'cnp-battle-arena:rules';
+
+/**
+ * 標準の試合ルール。ルール設定を省略した場合や、古い保存データ・リプレイにルールが無い場合もこれを使う。
+ */
+export const DEFAULT_RULES = Object.freeze({
+    NUM_BASES: 3,           // 拠点の数
+    GAUGE_PER_BASE: 2,      // 拠点ごとのゲージの数
+    INITIAL_HAND_SIZE: 5,   // 初期手札の枚数
+    MAX_HAND_SIZE: 8,       // エンドフェイズに持っていられる手札の上限。nullの場合は上限なし
+    MAX_REIKI: 10,          // 最大レイキ
+    MAX_TURNS: 50,          // 最大ターン数
+    BASES_TO_WIN: null,     // 勝利に必要な制圧拠点数。nullの場合は拠点の過半数
+    DECK_OUT_LOSS: true,    // デッキ切れでカードを引けなかったプレイヤーを負けにする
+    MAX_TURN_TIEBREAK: true, // 最大ターンに達したとき、判定（制圧拠点数→残りゲージ数→場のBP合計）で勝敗を決める
+    FIRST_PLAYER_METHOD: 'coin', // 先攻の決め方。'coin'（コイントス）または 'rps'（じゃんけん）
+});
+
+/**
+ * スタート画面で選べるルールのプリセット。
+ */
+export const RULE_PRESETS = {
+    standard: { label: 'スタンダード', rules: DEFAULT_RULES },
+    quick: { label: 'クイック', rules: Object.freeze({ ...DEFAULT_RULES, GAUGE_PER_BASE: 1, MAX_TURNS: 30 }) },
+    long: { label: 'ロング', rules: Object.freeze({ ...DEFAULT_RULES, NUM_BASES: 5, GAUGE_PER_BASE: 2, MAX_HAND_SIZE: 10, MAX_TURNS: 80 }) },
+};
+
+/**
+ * 保存済みのカスタムルールを選んでいることを表すプリセット名。
+ */
+export const CUSTOM_PRESET = 'custom';
+
+/**
+ * ルール編集画面に並べる項目。type が 'number' の項目は min 〜 max の整数で、nullable なら空欄（null）も許す。
+ */
+export const RULE_FIELDS = [
+    { key: 'NUM_BASES', label: '拠点の数', type: 'number', min: 1, max: 5 },
+    { key: 'GAUGE_PER_BASE', label: '拠点ごとのゲージ', type: 'number', min: 1, max: 4 },
+    { key: 'INITIAL_HAND_SIZE', label: '初期手札', type: 'number', min: 1, max: 10 },
+    { key: 'MAX_HAND_SIZE', label: '手札の上限（空欄で無制限）', type: 'number', min: 1, max: 20, nullable: true },
+    { key: 'MAX_REIKI', label: '最大レイキ', type: 'number', min: 1, max: 20 },
+    { key: 'MAX_TURNS', label: '最大ターン数', type: 'number', min: 1, max: 200 },
+    { key: 'BASES_TO_WIN', label: '勝利に必要な制圧数（空欄で過半数）', type: 'number', min: 1, max: 5, nullable: true },
+    { key: 'DECK_OUT_LOSS', label: 'デッキ切れで敗北', type: 'boolean' },
+    { key: 'MAX_TURN_TIEBREAK', label: '最大ターンで判定', type: 'boolean' },
+    { key: 'FIRST_PLAYER_METHOD', label: '先攻の決め方', type: 'select', options: { coin: 'コイントス', rps: 'じゃんけん' } },
+];
+
+/**
+ * ルールの不足している項目を標準の値で補い、知らない項目を取り除く。
+ * @param {Object} [rules] - ルール。省略時は標準ルール
+ * @returns {Object} 全ての項目を持つルール
+ */
+export function normalizeRules(rules = {}) {
+    return Object.fromEntries(Object.entries(DEFAULT_RULES).map(([key, value]) => [key, rules && key in rules ? rules[key] : value]));
+}
+
+/**
+ * ルールを表示用の短い文にする。プリセットと同じルールならプリセット名を返す。
+ * @param {Object} rules - ルール
+ * @returns {string} 表示用の文字列
+ */
+export function describeRules(rules) {
+    const preset = Object.values(RULE_PRESETS).find(({ rules: presetRules }) => RULE_FIELDS.every(({ key }) => presetRules[key] === rules[key]));
+    if (preset) return preset.label;
+    return `カスタム（拠点${rules.NUM_BASES}・ゲージ${rules.GAUGE_PER_BASE}・初期手札${rules.INITIAL_HAND_SIZE}・最大${rules.MAX_TURNS}ターン）`;
+}
+
+/**
+ * 試合のルール設定の保存・読み込み・検証を担当するクラス。
+ *
+ * 設定は次の形式で保存する。
+ * { preset: string, custom: Object }  preset は RULE_PRESETS のキーまたは CUSTOM_PRESET
+ */
+export class RuleManager {
+    /**
+     * @param {Storage|null} [storage] - 保存先。省略時はlocalStorage、使えない環境ではメモリ上に保持する
+     */
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.memorySettings = null;
+    }
+
+    /**
+     * 保存済みのルール設定を読み込む。
+     * @returns {{preset: string, custom: Object}} ルール設定。保存されていない場合は標準ルール
+     */
+    loadSettings() {
+        let settings = this.memorySettings;
+        if (this.storage) {
+            try {
+                settings = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            } catch (error) {
+                console.warn('保存済みのルール設定の読み込みに失敗しました。', error);
+            }
+        }
+        const preset = settings && (RULE_PRESETS[settings.preset] || settings.preset === CUSTOM_PRESET) ? settings.preset : 'standard';
+        return { preset, custom: normalizeRules(settings ? settings.custom : undefined) };
+    }
+
+    /**
+     * ルール設定を保存する。
+     * @param {{preset: string, custom: Object}} settings - 保存する設定
+     */
+    saveSettings(settings) {
+        if (!this.storage) {
+            this.memorySettings = settings;
+            return;
+        }
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    }
+
+    /**
+     * 現在選ばれているルールを返す。
+     * @returns {Object} ルール
+     */
+    getSelectedRules() {
+        const { preset, custom } = this.loadSettings();
+        return preset === CUSTOM_PRESET ? custom : RULE_PRESETS[preset].rules;
+    }
+
+    /**
+     * ルールの各項目が範囲内か、どの構築済みデッキでも試合を始められるかを検証する。
+     * @param {Object} rules - 検証するルール
+     * @returns {{valid: boolean, errors: string[]}} 検証結果
+     */
+    static validateRules(rules) {
+        const errors = [];
+        for (const field of RULE_FIELDS) {
+            const value = rules[field.key];
+            if (field.type === 'number') {
+                if (value === null && field.nullable) continue;
+                if (!Number.isInteger(value) || value < field.min || value > field.max) {
+                    errors.push(`${field.label}は${field.min}〜${field.max}の整数にしてください。`);
+                }
+            } else if (field.type === 'boolean') {
+                if (typeof value !== 'boolean') errors.push(`${field.label}の設定が正しくありません。`);
+            } else if (!Object.hasOwn(field.options, value)) {
+                errors.push(`${field.label}は${Object.values(field.options).join('・')}のいずれかにしてください。`);
+            }
+        }
+        if (Number.isInteger(rules.BASES_TO_WIN) && rules.BASES_TO_WIN > rules.NUM_BASES) {
+            errors.push(`勝利に必要な制圧数は拠点の数（${rules.NUM_BASES}）以下にしてください。`);
+        }
+        // 最小枚数のデッキでも、初期手札とゲージを配った後に山札が残るようにする
+        const setupCards = rules.INITIAL_HAND_SIZE + rules.NUM_BASES * rules.GAUGE_PER_BASE;
+        if (setupCards >= DECK_RULES.MIN_MAIN_DECK_SIZE) {
+            errors.push(`初期手札とゲージの合計（${setupCards}枚）はデッキの最小枚数（${DECK_RULES.MIN_MAIN_DECK_SIZE}枚）未満にしてください。`);
+        }
+        return { valid: errors.length === 0, errors };
+    }
+}
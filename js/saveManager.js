@@ -0,0 +1,51 @@
+const STORAGE_KEY = 'cnp-battle-arena:save';
+const SAVE_VERSION = 3;
+
+/**
+ * 進行中の試合をlocalStorageに保存・復元するクラス。
+ */
+export class SaveManager {
+    /**
+     * @param {Storage|null} [storage] - 保存先。省略時はlocalStorage、使えない環境では保存しない
+     */
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+    }
+
+    /**
+     * 試合データを保存する。
+     * @param {{state: Object, rng: Object, actionLog: Object}} data - 保存するデータ
+     */
+    save(data) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({ version: SAVE_VERSION, savedAt: new Date().toISOString(), ...data }));
+        } catch (error) {
+            console.warn('試合データの保存に失敗しました。', error);
+        }
+    }
+
+    /**
+     * 保存済みの試合データを読み込む。
+     * @returns {Object|null} 保存データ。存在しないか形式が古い場合はnull
+     */
+    load() {
+        if (!this.storage) return null;
+        try {
+            const data = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (!data || data.version !== SAVE_VERSION || !data.state) return null;
+            return data;
+        } catch (error) {
+            console.warn('保存データの読み込みに失敗しました。', error);
+            return null;
+        }
+    }
+
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    clear() {
+        if (this.storage) this.storage.removeItem(STORAGE_KEY);
+    }
+}
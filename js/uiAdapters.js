@@ -0,0 +1,66 @@
+/**
+ * DOMを持たない環境（Node.jsでのテストやシミュレーション）向けのUIアダプタ。
+ * UIManagerと同じインターフェースを持ち、GameEngineから呼ばれても何も描画しない。
+ */
+export class NullUI {
+    constructor(engine) {
+        this.engine = engine;
+        this.selectedCard = null;
+        this.selectedCardType = null;
+        this.selectedCardSlot = null;
+    }
+
+    showSplashScreen() {}
+    hideSplashScreen() {}
+    update(state) {}
+    addLog(message, type = 'info') {}
+    showModal(title, text, buttons = []) {}
+    hideModal() {}
+    showAttackEffect(attackerCard, target) {}
+    downloadJSON(filename, data) {}
+    showCardSyncStatus(status) {}
+    showCardFetchProgress(progress) {}
+    requestHandOver(playerIndex) { return Promise.resolve(); }
+    promptRps(playerIndex) { return Promise.resolve(null); }
+    promptMulligan(playerIndex, hand) { return Promise.resolve(false); }
+    promptTargets(playerIndex, candidates, count, effect) {
+        return Promise.resolve(candidates.slice(0, count).map(c => c.card.uuid));
+    }
+    promptDefenderResponse(playerIndex, attack, responses) {
+        return Promise.resolve({ type: 'pass' });
+    }
+
+    selectCard(card, type, slot) {
+        this.selectedCard = card;
+        this.selectedCardType = type;
+        this.selectedCardSlot = slot;
+    }
+    unselectCard() {
+        this.selectedCard = null;
+        this.selectedCardType = null;
+        this.selectedCardSlot = null;
+    }
+}
+
+/**
+ * 受け取ったログやモーダルを記録するUIアダプタ。
+ * テストで試合の経過を検証する用途を想定している。
+ */
+export class RecordingUI extends NullUI {
+    constructor(engine) {
+        super(engine);
+        this.logs = [];
+        this.modals = [];
+        this.updateCount = 0;
+    }
+
+    update(state) {
+        this.updateCount++;
+    }
+    addLog(message, type = 'info') {
+        this.logs.push({ message, type });
+    }
+    showModal(title, text, buttons = []) {
+        this.modals.push({ title, text, buttons: buttons.map(b => b.text) });
+    }
+}
@@ -1,4 +1,24 @@
-import { CONFIG, PHASES, CARD_TYPES } from './constants.js';
+import { CONFIG, PHASES, MODIFIER_DURATIONS, RPS_HANDS } from './constants.js';
+import { DeckBuilderUI } from './deckBuilderUI.js';
+import { ReplayViewer } from './replayViewer.js';
+import { AI_DIFFICULTIES, DEFAULT_AI_DIFFICULTY } from './aiAgent.js';
+import { parseBaseTarget } from './legalActions.js';
+import { RULE_PRESETS, RULE_FIELDS, CUSTOM_PRESET } from './ruleManager.js';
+
+const REIKI_COLOR_CLASSES = {
+    '青': 'text-blue-400',
+    '赤': 'text-red-400',
+    '緑': 'text-green-400',
+    '黄': 'text-yellow-300',
+    '紫': 'text-purple-400',
+};
+
+const MODIFIER_DURATION_LABELS = {
+    [MODIFIER_DURATIONS.TURN]: 'ターン終了時まで',
+    [MODIFIER_DURATIONS.UNTIL_NEXT_TURN]: '次のターンまで',
+    [MODIFIER_DURATIONS.PERMANENT]: '永続',
+    [MODIFIER_DURATIONS.WHILE_ON_FIELD]: '場にある間',
+};
 
 /**
  * DOM操作、UIの更新、ユーザーからの入力を担当するクラス。
@@ -9,15 +29,44 @@ export class UIManager {
         this.selectedCard = null;
         this.selectedCardType = null; 
         this.selectedCardSlot = null;
+        // 画面下側（手前）に表示するプレイヤー。ホットシート対戦ではターンごとに入れ替わる
+        this.viewIndex = 0;
+        // 端末の受け渡し中は手札を隠す
+        this.handHidden = false;
         this.init();
+        this.deckBuilder = new DeckBuilderUI(engine, this);
+        this.replayViewer = new ReplayViewer(engine, this);
     }
 
     /**
      * イベントリスナーを初期化する。
      */
     init() {
-        document.getElementById('start-pve-btn').onclick = () => this.engine.initGame('PvE', this.getPlayerNamesFromInput());
-        document.getElementById('start-eve-btn').onclick = () => this.engine.initGame('EvE', this.getPlayerNamesFromInput());
+        const difficultySelect = document.getElementById('ai-difficulty-select');
+        Object.entries(AI_DIFFICULTIES).forEach(([key, { label }]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `AI: ${label}`;
+            difficultySelect.appendChild(option);
+        });
+        difficultySelect.value = DEFAULT_AI_DIFFICULTY;
+        this.initRuleSettings();
+
+        document.getElementById('start-pve-btn').onclick = () => this.engine.initGame('PvE', this.getPlayerNamesFromInput(), this.getSeedFromInput(), this.getDeckNamesFromInput(), this.getAIDifficultyFromInput(), this.getRulesFromInput());
+        document.getElementById('start-pvp-btn').onclick = () => this.engine.initGame('PvP', this.getPlayerNamesFromInput(), this.getSeedFromInput(), this.getDeckNamesFromInput(), undefined, this.getRulesFromInput());
+        document.getElementById('start-online-btn').onclick = () => this.engine.joinOnlineGame(this.getServerUrlFromInput(), { name: this.getPlayerNamesFromInput()[0] });
+        document.getElementById('start-eve-btn').onclick = () => this.engine.initGame('EvE', this.getPlayerNamesFromInput(), this.getSeedFromInput(), this.getDeckNamesFromInput(), this.getAIDifficultyFromInput(), this.getRulesFromInput());
+        document.getElementById('continue-btn').onclick = () => this.engine.resumeGame();
+        document.getElementById('export-log-btn').onclick = () => this.engine.exportActionLog();
+        document.getElementById('card-sync-refresh-btn').onclick = () => this.engine.refreshCardData();
+        document.getElementById('card-pool-export-btn').onclick = () => this.engine.exportCardPool();
+        const cardPoolInput = document.getElementById('card-pool-file-input');
+        document.getElementById('card-pool-import-btn').onclick = () => cardPoolInput.click();
+        cardPoolInput.onchange = async () => {
+            const file = cardPoolInput.files[0];
+            cardPoolInput.value = '';
+            if (file) await this.importCardPoolFile(file);
+        };
         
         document.body.addEventListener('click', e => {
             if (this.engine.isProcessing) return;
@@ -42,24 +91,209 @@ export class UIManager {
         return [p1Name, p2Name];
     }
 
+    /**
+     * スタート画面で入力されたシード値を取得する。未入力の場合はundefined（ランダム）。
+     * @returns {string|undefined} シード値
+     */
+    getSeedFromInput() {
+        const seed = document.getElementById('seed-input').value.trim();
+        return seed || undefined;
+    }
+
+    /**
+     * スタート画面で入力されたマッチサーバーのURLを取得する。
+     * 未入力の場合、ページがマッチサーバーから配信されていればそのホストに接続する。
+     * @returns {string} WebSocket URL
+     */
+    getServerUrlFromInput() {
+        const url = document.getElementById('server-url-input').value.trim();
+        if (url) return url;
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${location.host || 'localhost:8765'}`;
+    }
+
+    /**
+     * スタート画面で選択されたデッキ名を取得する。未選択の場合はnull（全カード）。
+     * @returns {(string|null)[]} 各プレイヤーのデッキ名
+     */
+    getDeckNamesFromInput() {
+        return ['player1-deck-select', 'player2-deck-select'].map(id => document.getElementById(id).value || null);
+    }
+
+    /**
+     * スタート画面で選択されたAIの難易度を取得する。AIが操作する両プレイヤーに適用する。
+     * @returns {string[]} 各プレイヤーの難易度
+     */
+    getAIDifficultyFromInput() {
+        const difficulty = document.getElementById('ai-difficulty-select').value || DEFAULT_AI_DIFFICULTY;
+        return [difficulty, difficulty];
+    }
+
+    /**
+     * スタート画面で選択されたルールを取得する。
+     * @returns {Object} 試合のルール
+     */
+    getRulesFromInput() {
+        return this.engine.ruleManager.getSelectedRules();
+    }
+
+    /**
+     * スタート画面のルール選択とルール編集欄を初期化する。
+     * プリセットを選ぶとその値を編集欄に表示し、編集欄を変更するとカスタムルールとして保存する。
+     */
+    initRuleSettings() {
+        const ruleManager = this.engine.ruleManager;
+        const presetSelect = document.getElementById('rule-preset-select');
+        const editorEl = document.getElementById('rule-editor');
+        [...Object.entries(RULE_PRESETS).map(([key, { label }]) => [key, label]), [CUSTOM_PRESET, 'カスタム']].forEach(([key, label]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `ルール: ${label}`;
+            presetSelect.appendChild(option);
+        });
+
+        const inputs = {};
+        RULE_FIELDS.forEach(field => {
+            const labelEl = document.createElement('label');
+            labelEl.htmlFor = `rule-${field.key}`;
+            labelEl.textContent = field.label;
+            let input;
+            if (field.type === 'select') {
+                input = document.createElement('select');
+                Object.entries(field.options).forEach(([value, text]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = text;
+                    input.appendChild(option);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = field.type === 'boolean' ? 'checkbox' : 'number';
+                if (field.type === 'number') Object.assign(input, { min: field.min, max: field.max, step: 1 });
+            }
+            input.id = `rule-${field.key}`;
+            input.className = field.type === 'boolean' ? 'justify-self-start' : 'bg-gray-700 text-white p-1 rounded';
+            input.onchange = () => {
+                const custom = Object.fromEntries(RULE_FIELDS.map(({ key, type }) => {
+                    const el = inputs[key];
+                    if (type === 'boolean') return [key, el.checked];
+                    if (type === 'select') return [key, el.value];
+                    return [key, el.value.trim() === '' ? null : Number(el.value)];
+                }));
+                ruleManager.saveSettings({ preset: CUSTOM_PRESET, custom });
+                presetSelect.value = CUSTOM_PRESET;
+            };
+            inputs[field.key] = input;
+            editorEl.append(labelEl, input);
+        });
+
+        const showRules = () => {
+            const { preset } = ruleManager.loadSettings();
+            const rules = ruleManager.getSelectedRules();
+            presetSelect.value = preset;
+            RULE_FIELDS.forEach(({ key, type }) => {
+                if (type === 'boolean') inputs[key].checked = rules[key];
+                else inputs[key].value = rules[key] ?? '';
+            });
+        };
+        presetSelect.onchange = () => {
+            ruleManager.saveSettings({ ...ruleManager.loadSettings(), preset: presetSelect.value });
+            showRules();
+        };
+        document.getElementById('rule-edit-btn').onclick = () => editorEl.classList.toggle('hidden');
+        showRules();
+    }
+
+    /**
+     * スタート画面のデッキ選択肢を保存済みデッキから作り直す。
+     */
+    renderDeckSelects() {
+        const decks = this.engine.deckManager.loadDecks();
+        ['player1-deck-select', 'player2-deck-select'].forEach(id => {
+            const selectEl = document.getElementById(id);
+            const current = selectEl.value;
+            selectEl.innerHTML = '<option value="">全カード</option>';
+            decks.forEach(deck => {
+                const option = document.createElement('option');
+                option.value = deck.name;
+                option.textContent = deck.name;
+                selectEl.appendChild(option);
+            });
+            selectEl.value = decks.some(deck => deck.name === current) ? current : '';
+        });
+    }
+
+    /**
+     * カードプールのスナップショットファイルを読み込む。
+     * @param {File} file - 書き出したJSONファイル
+     */
+    async importCardPoolFile(file) {
+        try {
+            const record = await this.engine.importCardPool(JSON.parse(await file.text()));
+            this.showModal('読み込み完了', `${record.cards.length}枚のカードを読み込みました。`, [{ text: '閉じる', callback: () => this.hideModal() }]);
+        } catch (error) {
+            console.error('カードプールの読み込みに失敗しました:', error);
+            this.showModal('読み込みエラー', error.message, [{ text: '閉じる', callback: () => this.hideModal() }]);
+        }
+    }
+
+    /**
+     * スタート画面にカードデータベースの最終同期日時と同期状態を表示する。
+     * @param {Object} status - {syncedAt, count, source, version, syncing, error}
+     */
+    showCardSyncStatus(status) {
+        const sources = { api: 'API', import: 'ファイル' };
+        let text = 'カードDB: 未同期';
+        if (status.syncedAt) {
+            const syncedAt = new Date(status.syncedAt).toLocaleString();
+            text = `カードDB: ${status.count}枚 / 最終同期 ${syncedAt}（${sources[status.source] || status.source}）`;
+        }
+        if (status.syncing) text += ' … 同期中';
+        if (status.error) text += ' … 同期失敗';
+        const statusEl = document.getElementById('card-sync-status');
+        statusEl.textContent = text;
+        statusEl.title = status.error || (status.version ? `version: ${status.version}` : '');
+        statusEl.classList.toggle('text-red-400', Boolean(status.error));
+        document.getElementById('card-sync-refresh-btn').disabled = Boolean(status.syncing);
+    }
+
+    /**
+     * スタート画面のプログレスバーにカードデータの取得状況を表示する。取得が終わったら隠す。
+     * 全体のページ数が分からない間（ページ送りの取得中）は、バーを点滅させて取得済みのページ数だけを表示する。
+     * @param {{loaded: number, failed: number, total: number|null, finished: boolean}} progress - 取得済み・失敗・全体のページ数と、取得が終わったか
+     */
+    showCardFetchProgress({ loaded, failed, total, finished }) {
+        const done = loaded + failed;
+        const containerEl = document.getElementById('card-fetch-progress');
+        const barEl = document.getElementById('card-fetch-progress-bar');
+        containerEl.classList.remove('hidden');
+        barEl.classList.toggle('animate-pulse', total === null && !finished);
+        barEl.style.width = `${finished || total === null ? 100 : total ? Math.round(done / total * 100) : 0}%`;
+        document.getElementById('card-fetch-progress-text').textContent = `カードデータ取得${finished ? '完了' : '中'}: ${total === null ? done : `${done} / ${total}`} ページ${failed ? `（失敗 ${failed}）` : ''}`;
+        clearTimeout(this.fetchProgressTimer);
+        if (finished) {
+            this.fetchProgressTimer = setTimeout(() => containerEl.classList.add('hidden'), 1000);
+        }
+    }
+
     /**
      * ゲーム状態に基づいてUI全体を更新する。
      * @param {Object} state - 現在のゲーム状態
      */
     update(state) {
-        this.updatePlayerUI(0, state.players[0], state);
-        this.updatePlayerUI(1, state.players[1], state);
+        this.updatePlayerUI(this.viewIndex, state.players[this.viewIndex], state);
+        this.updatePlayerUI((this.viewIndex + 1) % 2, state.players[(this.viewIndex + 1) % 2], state);
         this.updatePhaseDisplay(state);
     }
 
     /**
-     * 特定のプレイヤーのUIを更新する。
+     * 特定のプレイヤーのUIを更新する。viewIndexのプレイヤーを手前（player）側に描画する。
      * @param {number} index - プレイヤーのインデックス
      * @param {Object} playerState - プレイヤーの状態
      * @param {Object} state - 全体のゲーム状態
      */
     updatePlayerUI(index, playerState, state) {
-        const isPlayer = index === 0;
+        const isPlayer = index === this.viewIndex;
         const prefix = isPlayer ? 'player' : 'opponent';
         
         document.getElementById(`${prefix}-name`).textContent = state.playerNames[index];
@@ -67,11 +301,12 @@ export class UIManager {
         document.getElementById(`${prefix}-deck`).innerHTML = `Deck <span class="font-orbitron">${playerState.mainDeck.length}</span>`;
         document.getElementById(`${prefix}-trash`).innerHTML = `Trash <span class="font-orbitron">${playerState.trash.length}</span>`;
         document.getElementById(`${prefix}-reiki-count`).querySelector('span').textContent = `${playerState.reiki}/${playerState.maxReiki}`;
+        this.renderReikiZone(prefix, playerState);
         
         if(isPlayer) {
             const handEl = document.getElementById('player-hand-cards');
             handEl.innerHTML = '';
-            playerState.hand.forEach(card => handEl.appendChild(this.createCardEl(card, 'hand', 'player', null)));
+            if (!this.handHidden) playerState.hand.forEach(card => handEl.appendChild(this.createCardEl(card, 'hand', 'player', null)));
         }
 
         for (const [slot, card] of Object.entries(playerState.field)) {
@@ -83,22 +318,22 @@ export class UIManager {
             }
         }
         
-        const opponentOfCurrentPlayerIndex = (index + 1) % 2;
         const basesEl = document.getElementById(`${prefix}-bases`);
         basesEl.innerHTML = '';
-        state.players[opponentOfCurrentPlayerIndex].bases.forEach((base, i) => {
+        playerState.bases.forEach((base, i) => {
             const baseEl = document.createElement('div');
             baseEl.className = 'base cursor-pointer';
             baseEl.dataset.owner = prefix;
             baseEl.dataset.index = i;
             if(base.owner !== null) {
-                baseEl.classList.add(base.owner === 0 ? 'conquered-by-player' : 'conquered-by-opponent');
+                baseEl.classList.add(base.owner === this.viewIndex ? 'conquered-by-player' : 'conquered-by-opponent');
             }
+            baseEl.appendChild(this.createGaugeCardsEl(base.gauges));
             const gaugeBar = document.createElement('div');
             gaugeBar.className = 'gauge-bar';
             const gaugeInner = document.createElement('div');
             gaugeInner.className = 'gauge-bar-inner';
-            gaugeInner.style.width = `${(base.gauges.length / CONFIG.GAUGE_PER_BASE) * 100}%`;
+            gaugeInner.style.width = `${(base.gauges.length / state.rules.GAUGE_PER_BASE) * 100}%`;
             gaugeBar.appendChild(gaugeInner);
             baseEl.appendChild(gaugeBar);
             basesEl.appendChild(baseEl);
@@ -106,6 +341,40 @@ export class UIManager {
         this.updateHighlights(state);
     }
 
+    /**
+     * 拠点のゲージを小さなカードの列として描画する。裏向きのゲージ（オンライン対戦で隠されたものを含む）はカードの裏面を表示する。
+     * @param {(Object|null)[]} gauges - 拠点のゲージ
+     * @returns {HTMLElement} ゲージの列の要素
+     */
+    createGaugeCardsEl(gauges) {
+        const el = document.createElement('div');
+        el.className = 'gauge-cards';
+        gauges.forEach(card => {
+            const gaugeEl = document.createElement('div');
+            gaugeEl.className = 'gauge-card';
+            if (card && card.faceUp) {
+                gaugeEl.classList.add('face-up');
+                gaugeEl.style.backgroundImage = `url("${card.imageUrl || CONFIG.PLACEHOLDER_IMG}")`;
+                gaugeEl.title = card.name;
+            }
+            el.appendChild(gaugeEl);
+        });
+        return el;
+    }
+
+    /**
+     * 攻撃対象の拠点の要素を返す。
+     * @param {string} target - 攻撃対象の識別子（'base{n}' または 'ownBase{n}'）
+     * @param {number} attackerIndex - 攻撃するプレイヤー
+     * @returns {HTMLElement|null} 拠点の要素。拠点でない場合はnull
+     */
+    getBaseEl(target, attackerIndex) {
+        const baseTarget = parseBaseTarget(target);
+        if (!baseTarget) return null;
+        const ownerIndex = baseTarget.own ? attackerIndex : (attackerIndex + 1) % 2;
+        return document.querySelector(`#${ownerIndex === this.viewIndex ? 'player' : 'opponent'}-bases .base[data-index="${baseTarget.index}"]`);
+    }
+
     /**
      * カードのDOM要素を生成する。
      * @param {Object} card - カードデータ
@@ -130,11 +399,48 @@ export class UIManager {
         img.draggable = false;
         img.onerror = (e) => { e.target.src = CONFIG.PLACEHOLDER_IMG; };
 
-        el.innerHTML = `<div class="card-overlay-text text-white"><p class="font-bold truncate">${card.name}</p><p class="text-amber-300">BP: ${card.bp}</p></div>`;
+        el.innerHTML = `<div class="card-overlay-text text-white"><p class="font-bold truncate">${card.name}</p>${this.formatBp(card)}</div>`;
+        const modifiers = card.modifiers || [];
+        if (modifiers.length) {
+            el.title = modifiers.map(modifier => `${modifier.sourceName}: ${modifier.amount >= 0 ? '+' : ''}${modifier.amount}（${MODIFIER_DURATION_LABELS[modifier.duration] || modifier.duration}）`).join('\n');
+        }
         el.prepend(img);
         return el;
     }
 
+    /**
+     * カードのBP表示を作る。修正を受けている場合は元のBPと修正後のBPを並べて表示する。
+     * @param {Object} card - カード
+     * @returns {string} BP表示のHTML
+     */
+    formatBp(card) {
+        if (card.originalBp === undefined || card.bp === card.originalBp) {
+            return `<p class="text-amber-300">BP: ${card.bp}</p>`;
+        }
+        const color = card.bp > card.originalBp ? 'text-green-400' : 'text-red-400';
+        return `<p class="text-amber-300">BP: <span class="line-through text-gray-400">${card.originalBp}</span> <span class="${color} font-bold">${card.bp}</span></p>`;
+    }
+
+    /**
+     * レイキデッキの残り枚数と、レイキゾーンの色ごとの枚数（使えるレイキ/ゾーンの枚数）を表示する。
+     * @param {string} prefix - 'player' または 'opponent'
+     * @param {Object} playerState - プレイヤーの状態
+     */
+    renderReikiZone(prefix, playerState) {
+        const zone = playerState.reikiZone || [];
+        const available = playerState.reikiColors || {};
+        const zoneColors = {};
+        zone.forEach(card => { if (card.color) zoneColors[card.color] = (zoneColors[card.color] || 0) + 1; });
+        const colorless = playerState.maxReiki - Object.values(zoneColors).reduce((sum, count) => sum + count, 0);
+        const availableColorless = Math.max(0, playerState.reiki - Object.values(available).reduce((sum, count) => sum + count, 0));
+        const rows = Object.entries(zoneColors).map(([color, count]) => `<p class="${REIKI_COLOR_CLASSES[color] || 'text-gray-200'}">${color} ${available[color] || 0}/${count}</p>`);
+        if (colorless > 0) rows.push(`<p class="text-gray-400">無色 ${availableColorless}/${colorless}</p>`);
+
+        const deckEl = document.getElementById(`${prefix}-reiki-deck`);
+        deckEl.innerHTML = `Reiki <span class="font-orbitron">${playerState.reikiDeck.length}</span><div class="reiki-zone text-xs font-bold">${rows.join('')}</div>`;
+        deckEl.title = zone.length ? `レイキゾーン: ${zone.map(card => card.name).join('、')}` : 'レイキゾーンは空です';
+    }
+
     /**
      * フェーズ表示を更新する。
      * @param {Object} state - 現在のゲーム状態
@@ -147,7 +453,7 @@ export class UIManager {
         if (state.phase === PHASES.MAIN) buttonText = 'BATTLE PHASE へ';
         if (state.phase === PHASES.BATTLE) buttonText = 'END PHASE へ';
 
-        phaseEl.innerHTML = `<div class="text-left"><p class="font-orbitron text-lg text-gray-400">TURN ${state.turn}</p><p class="font-bold text-2xl sm:text-3xl text-amber-400">${phaseName} PHASE</p></div><button id="end-phase-button" class="action-button bg-amber-500 hover:bg-amber-600 text-white font-bold py-2 px-4 sm:py-3 sm:px-6 rounded" ${!canEndPhase ? 'disabled' : ''}>${buttonText}</button>`;
+        phaseEl.innerHTML = `<div class="text-left"><p class="font-orbitron text-lg text-gray-400">TURN ${state.turn}</p>${state.seed !== undefined ? `<p id="seed-display" class="font-orbitron text-xs text-gray-500">SEED ${state.seed}</p>` : ''}<p class="font-bold text-2xl sm:text-3xl text-amber-400">${phaseName} PHASE</p></div><button id="end-phase-button" class="action-button bg-amber-500 hover:bg-amber-600 text-white font-bold py-2 px-4 sm:py-3 sm:px-6 rounded" ${!canEndPhase ? 'disabled' : ''}>${buttonText}</button>`;
         document.getElementById('end-phase-button').onclick = () => this.engine.endPhaseForPlayer();
     }
 
@@ -159,33 +465,30 @@ export class UIManager {
         document.querySelectorAll('.card, .field-slot, .base').forEach(el => el.classList.remove('playable', 'can-attack', 'targetable', 'selected'));
         if (!this.engine.isHumanTurn() || this.engine.isProcessing) return;
         
-        const player = state.players[0];
-        const opponent = state.players[1];
+        const opponent = state.players[(this.viewIndex + 1) % 2];
+        const legalActions = this.engine.getLegalActions(state, this.viewIndex);
 
         if (state.phase === PHASES.MAIN) {
             if(this.selectedCard && this.selectedCardType === 'hand') {
-                document.querySelectorAll('[data-type="field"][data-owner="player"]').forEach(slotEl => {
-                    const slot = slotEl.dataset.slot;
-                    const cardType = this.selectedCard.type;
-                    const canPlaceHere = 
-                        (cardType === CARD_TYPES.UNIT && (slot.includes('vanguard') || slot.includes('rearguard'))) || 
-                        (cardType === CARD_TYPES.SUPPORT && slot.includes('support'));
-                    
-                    if (!player.field[slot] && player.reiki >= this.selectedCard.cost && canPlaceHere) {
-                        slotEl.classList.add('playable');
-                    }
-                });
+                legalActions
+                    .filter(action => action.type === 'play' && action.cardUUID === this.selectedCard.uuid && action.slot)
+                    .forEach(action => document.getElementById(`player-field-${action.slot}`).classList.add('playable'));
+            } else if (this.selectedCard && this.selectedCardType === 'field') {
+                legalActions
+                    .filter(action => action.type === 'move' && action.fromSlot === this.selectedCardSlot)
+                    .forEach(action => document.getElementById(`player-field-${action.toSlot}`).classList.add('playable'));
             }
         } else if (state.phase === PHASES.BATTLE) {
-            Object.entries(player.field).forEach(([slot, card]) => {
-                if(card && !card.rested) document.querySelector(`[data-uuid="${card.uuid}"]`).classList.add('can-attack');
+            const attacks = legalActions.filter(action => action.type === 'attack');
+            new Set(attacks.map(action => action.attackerSlot)).forEach(slot => {
+                document.getElementById(`player-field-${slot}`).querySelector('.card')?.classList.add('can-attack');
             });
             if(this.selectedCard && this.selectedCardType === 'field') {
-                Object.values(opponent.field).forEach(card => {
-                    if(card) document.querySelector(`[data-uuid="${card.uuid}"]`).classList.add('targetable');
-                });
-                document.querySelectorAll('#opponent-bases .base').forEach(baseEl => {
-                    baseEl.classList.add('targetable');
+                attacks.filter(action => action.attackerSlot === this.selectedCardSlot).forEach(({ target }) => {
+                    const targetEl = parseBaseTarget(target)
+                        ? this.getBaseEl(target, state.activePlayerIndex)
+                        : document.querySelector(`[data-uuid="${opponent.field[target].uuid}"]`);
+                    if (targetEl) targetEl.classList.add('targetable');
                 });
             }
         }
@@ -241,7 +544,181 @@ export class UIManager {
         });
         document.getElementById('modal-overlay').classList.remove('hidden');
     }
-    showSplashScreen() { document.getElementById('splash-screen').classList.remove('hidden'); }
+    hideModal() { document.getElementById('modal-overlay').classList.add('hidden'); }
+    /**
+     * データをJSONファイルとしてダウンロードさせる。
+     * @param {string} filename - ファイル名
+     * @param {Object} data - 書き出すデータ
+     */
+    downloadJSON(filename, data) {
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    /**
+     * スキルの対象をプレイヤーに選ばせる画面を表示する。
+     * @param {number} playerIndex - 選ぶプレイヤー
+     * @param {Object[]} candidates - 候補 { playerIndex, zone, slot, card }
+     * @param {number} count - 選ぶ枚数
+     * @param {Object} effect - 実行中の効果
+     * @returns {Promise<string[]>} 選ばれたカードのuuid
+     */
+    promptTargets(playerIndex, candidates, count, effect) {
+        const opLabels = { destroy: '破壊する', rest: 'レストする', bounce: '手札に戻す', buff: '強化する', discard: '捨てる', summon: '場に出す' };
+        const overlay = document.getElementById('choice-overlay');
+        const cardsEl = document.getElementById('choice-cards');
+        const confirmButton = document.getElementById('choice-confirm-btn');
+        const selected = new Set();
+
+        document.getElementById('choice-title').textContent = `${this.engine.getPlayerName(playerIndex)}: ${opLabels[effect.op] || effect.op}カードを${count}枚選択`;
+        cardsEl.innerHTML = '';
+        candidates.forEach(({ card, playerIndex: owner }) => {
+            const cardEl = this.createCardEl(card, 'choice', owner === this.viewIndex ? 'player' : 'opponent', null);
+            cardEl.classList.add('choice-card');
+            cardEl.classList.toggle('opponent-card', owner !== playerIndex);
+            cardEl.onclick = () => {
+                if (selected.has(card.uuid)) selected.delete(card.uuid);
+                else if (selected.size < count) selected.add(card.uuid);
+                cardEl.classList.toggle('selected', selected.has(card.uuid));
+                confirmButton.disabled = selected.size !== count;
+            };
+            cardsEl.appendChild(cardEl);
+        });
+        confirmButton.disabled = true;
+        overlay.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            confirmButton.onclick = () => {
+                overlay.classList.add('hidden');
+                resolve([...selected]);
+            };
+        });
+    }
+
+    /**
+     * 攻撃を宣言されたときの応答（ブロック・カウンター）を防御側のプレイヤーに選ばせる。
+     * @param {number} playerIndex - 防御するプレイヤー
+     * @param {{attackerIndex: number, attackerSlot: string, target: string}} attack - 宣言された攻撃
+     * @param {Object[]} responses - 選べる応答
+     * @param {number|null} [timeout] - 制限時間（ミリ秒）。過ぎるとパスする（オンライン対戦）
+     * @returns {Promise<Object>} 選ばれた応答
+     */
+    promptDefenderResponse(playerIndex, attack, responses, timeout = null) {
+        const state = this.engine.state;
+        const player = state.players[playerIndex];
+        const attacker = state.players[attack.attackerIndex].field[attack.attackerSlot];
+        const baseTarget = parseBaseTarget(attack.target);
+        const target = baseTarget ? (baseTarget.own ? '制圧した拠点' : '拠点') : player.field[attack.target]?.name;
+        const text = `${attacker ? `${attacker.name}（BP ${attacker.bp}）` : 'ユニット'}が${target}に攻撃しようとしています。`
+            + (timeout ? `\n${Math.round(timeout / 1000)}秒以内に選ばない場合はブロックしません。` : '');
+        const label = response => {
+            if (response.type === 'block') {
+                const card = player.field[response.blockerSlot];
+                return `${card.name}（BP ${card.bp}）でブロック`;
+            }
+            if (response.type === 'counter') return `カウンター「${player.hand.find(card => card && card.uuid === response.cardUUID)?.name}」を使う`;
+            return 'ブロックしない';
+        };
+
+        return new Promise(resolve => {
+            let timer = null;
+            const answer = response => {
+                clearTimeout(timer);
+                this.hideModal();
+                resolve(response);
+            };
+            if (timeout) timer = setTimeout(() => answer({ type: 'pass' }), timeout);
+            this.showModal(`${this.engine.getPlayerName(playerIndex)}: 攻撃への応答`, text, responses.map(response => ({ text: label(response), callback: () => answer(response) })));
+        });
+    }
+
+    /**
+     * 先攻を決めるじゃんけんの手をプレイヤーに選ばせる。
+     * @param {number} playerIndex - 選ぶプレイヤー
+     * @param {number|null} [timeout] - 制限時間（ミリ秒）。過ぎるとランダムな手になる（オンライン対戦）
+     * @returns {Promise<string|null>} RPS_HANDSのキー。時間切れの場合はnull
+     */
+    promptRps(playerIndex, timeout = null) {
+        const text = '勝ったプレイヤーが先攻になります。'
+            + (timeout ? `\n${Math.round(timeout / 1000)}秒以内に選ばない場合はランダムな手を出します。` : '');
+        return new Promise(resolve => {
+            let timer = null;
+            const answer = hand => {
+                clearTimeout(timer);
+                this.hideModal();
+                resolve(hand);
+            };
+            if (timeout) timer = setTimeout(() => answer(null), timeout);
+            this.showModal(`${this.engine.getPlayerName(playerIndex)}: じゃんけん`, text, Object.entries(RPS_HANDS).map(([hand, label]) => ({ text: label, callback: () => answer(hand) })));
+        });
+    }
+
+    /**
+     * 初手の手札を見せ、マリガン（手札をデッキに戻して引き直す）するかどうかをプレイヤーに選ばせる。
+     * @param {number} playerIndex - 選ぶプレイヤー
+     * @param {Object[]} hand - 現在の手札
+     * @param {number|null} [timeout] - 制限時間（ミリ秒）。過ぎると手札を確定する（オンライン対戦）
+     * @returns {Promise<boolean>} マリガンする場合true
+     */
+    promptMulligan(playerIndex, hand, timeout = null) {
+        const overlay = document.getElementById('mulligan-overlay');
+        const cardsEl = document.getElementById('mulligan-cards');
+        document.getElementById('mulligan-title').textContent = `${this.engine.getPlayerName(playerIndex)}: 初手の確認`;
+        document.getElementById('mulligan-text').textContent = 'マリガンすると手札をすべてデッキに戻してシャッフルし、同じ枚数を引き直します（1回まで）。'
+            + (timeout ? `\n${Math.round(timeout / 1000)}秒以内に選ばない場合はこの手札で始めます。` : '');
+        cardsEl.innerHTML = '';
+        hand.forEach(card => {
+            const cardEl = this.createCardEl(card, 'choice', 'player', null);
+            cardEl.classList.add('choice-card');
+            cardsEl.appendChild(cardEl);
+        });
+        overlay.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            let timer = null;
+            const answer = mulligan => {
+                clearTimeout(timer);
+                overlay.classList.add('hidden');
+                resolve(mulligan);
+            };
+            if (timeout) timer = setTimeout(() => answer(false), timeout);
+            document.getElementById('mulligan-keep-btn').onclick = () => answer(false);
+            document.getElementById('mulligan-redraw-btn').onclick = () => answer(true);
+        });
+    }
+
+    /**
+     * ホットシート対戦で次のプレイヤーに端末を渡す画面を表示する。
+     * 確認されるまで手札を隠し、確認後に盤面の向きを次のプレイヤー側に切り替える。
+     * @param {number} playerIndex - 次に操作するプレイヤー
+     * @returns {Promise<void>} 確認ボタンが押されたら解決する
+     */
+    requestHandOver(playerIndex) {
+        this.unselectCard();
+        this.handHidden = true;
+        this.update(this.engine.state);
+        const screen = document.getElementById('handover-screen');
+        document.getElementById('handover-player-name').textContent = this.engine.getPlayerName(playerIndex);
+        screen.classList.remove('hidden');
+        return new Promise(resolve => {
+            document.getElementById('handover-confirm-btn').onclick = () => {
+                screen.classList.add('hidden');
+                this.viewIndex = playerIndex;
+                this.handHidden = false;
+                this.update(this.engine.state);
+                resolve();
+            };
+        });
+    }
+    showSplashScreen() {
+        this.renderDeckSelects();
+        document.getElementById('continue-btn').classList.toggle('hidden', !this.engine.saveManager.hasSave());
+        document.getElementById('splash-screen').classList.remove('hidden');
+    }
     hideSplashScreen() {
         const splash = document.getElementById('splash-screen');
         splash.classList.add('opacity-0');
@@ -254,9 +731,9 @@ export class UIManager {
         document.getElementById('game-container').appendChild(effect);
         
         let targetEl;
-        if (typeof target === 'string' && target.startsWith('base')) {
-            const baseIndex = target.replace('base', '');
-            targetEl = document.querySelector(`#opponent-bases [data-index="${baseIndex}"]`);
+        if (typeof target === 'string' && parseBaseTarget(target)) {
+            const attackerIndex = this.engine.state.players.findIndex(p => Object.values(p.field).some(c => c && c.uuid === attackerCard.uuid));
+            targetEl = this.getBaseEl(target, attackerIndex);
         } else if (target && target.uuid) {
             targetEl = document.querySelector(`[data-uuid="${target.uuid}"]`);
         }
@@ -0,0 +1,90 @@
+import { GAME_END_REASONS } from './constants.js';
+import { isUnitSlot } from './legalActions.js';
+
+/**
+ * 試合が終わった理由の表示名。
+ */
+export const GAME_END_REASON_LABELS = {
+    [GAME_END_REASONS.BASES]: '拠点制圧',
+    [GAME_END_REASONS.DECK_OUT]: 'デッキ切れ',
+    [GAME_END_REASONS.TIEBREAK]: '判定',
+    [GAME_END_REASONS.MAX_TURNS]: '規定ターン到達',
+};
+
+/**
+ * 勝利に必要な制圧拠点数を返す。rules.BASES_TO_WIN を指定しない場合は拠点の過半数。
+ * @param {Object} rules - 試合のルール
+ * @returns {number} 制圧拠点数
+ */
+export function getBasesToWin(rules) {
+    return rules.BASES_TO_WIN ?? Math.floor(rules.NUM_BASES / 2) + 1;
+}
+
+/**
+ * プレイヤーが制圧している相手の拠点の数。
+ * @param {Object} state - ゲーム状態
+ * @param {number} playerIndex - 数えるプレイヤー
+ * @returns {number} 制圧している拠点の数
+ */
+export function countConqueredBases(state, playerIndex) {
+    return state.players[(playerIndex + 1) % 2].bases.filter(base => base.owner === playerIndex).length;
+}
+
+// 規定ターン数に達したときの判定の基準。上から順に比べ、最初に差がついた基準で勝者を決める
+const TIEBREAK_CRITERIA = [
+    { key: 'bases', label: '制圧した拠点の数', score: (state, index) => countConqueredBases(state, index) },
+    { key: 'gauges', label: '残りのゲージの数', score: (state, index) => state.players[index].bases.reduce((sum, base) => sum + base.gauges.length, 0) },
+    {
+        key: 'boardBp',
+        label: '場のユニットのBP合計',
+        score: (state, index) => Object.entries(state.players[index].field)
+            .filter(([slot, card]) => card && isUnitSlot(slot))
+            .reduce((sum, [, card]) => sum + card.bp, 0),
+    },
+];
+
+/**
+ * 規定ターン数に達したときの判定を行う。
+ * @param {Object} state - ゲーム状態
+ * @returns {{winner: number|null, criterion: string|null, scores: number[]|null}} 全ての基準で並んだ場合 winner はnull
+ */
+export function decideTiebreak(state) {
+    for (const criterion of TIEBREAK_CRITERIA) {
+        const scores = [0, 1].map(index => criterion.score(state, index));
+        if (scores[0] !== scores[1]) return { winner: scores[0] > scores[1] ? 0 : 1, criterion: criterion.key, scores };
+    }
+    return { winner: null, criterion: null, scores: null };
+}
+
+/**
+ * 試合の結果を説明する見出しと本文を作る。終了画面とオンライン対戦の終了通知で使う。
+ * @param {Object} state - 終了時のゲーム状態
+ * @param {Function} getName - プレイヤーのインデックスから名前を返す関数
+ * @returns {{title: string, text: string}} 見出しと本文
+ */
+export function describeGameResult(state, getName) {
+    const result = state.result || {};
+    const { rules } = state;
+    const title = state.winner !== null ? `${getName(state.winner)}の勝利！` : '引き分け';
+    switch (result.reason) {
+        case GAME_END_REASONS.BASES:
+            return { title, text: `${getName(state.winner)}が拠点を${result.bases}つ制圧しました（勝利条件: ${getBasesToWin(rules)}つ）。` };
+        case GAME_END_REASONS.DECK_OUT:
+            return { title, text: `${getName(result.loser)}のデッキが尽き、カードを引けませんでした。` };
+        case GAME_END_REASONS.TIEBREAK: {
+            const criterion = TIEBREAK_CRITERIA.find(c => c.key === result.criterion);
+            return {
+                title,
+                text: `規定ターン数(${rules.MAX_TURNS})に達したため判定を行いました。\n`
+                    + `${criterion.label}: ${getName(0)} ${result.scores[0]} 対 ${getName(1)} ${result.scores[1]}`,
+            };
+        }
+        default:
+            return {
+                title,
+                text: rules.MAX_TURN_TIEBREAK
+                    ? `規定ターン数(${rules.MAX_TURNS})に達し、判定でも差がつきませんでした。`
+                    : `規定ターン数(${rules.MAX_TURNS})に達しました。`,
+            };
+    }
+}
@@ -0,0 +1,432 @@
+/**
+ * オンライン対戦用のマッチサーバー。
+ * GameEngineをサーバー側で動かし、クライアントからの操作を検証して結果を配信する。
+ * ゲーム本体の静的ファイルも配信するため、このサーバーだけでローカル対戦を試せる。
+ *
+ * 使い方: node server/matchServer.js [ポート番号]
+ * ブラウザの2つのタブで http://localhost:8765 を開き、「ONLINE 対戦」を選択する。
+ */
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketConnection } from './webSocket.js';
+import { GameEngine } from '../js/gameEngine.js';
+import { NullUI } from '../js/uiAdapters.js';
+import { normalizeCardData } from '../js/cardData.js';
+import { MESSAGE_TYPES, DEFENSE_TIMEOUT_MS, SETUP_TIMEOUT_MS, createPlayerView, diffState } from '../js/netProtocol.js';
+import { describeGameResult } from '../js/victory.js';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8765);
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+};
+
+/**
+ * サーバー側のエンジンから呼ばれ、ログや状態の変化を各クライアントに配信するUIアダプタ。
+ */
+class MatchUI extends NullUI {
+    constructor(engine, match) {
+        super(engine);
+        this.match = match;
+    }
+
+    update(state) {
+        this.match.broadcastState();
+    }
+    addLog(message, type = 'info') {
+        this.match.broadcast({ type: MESSAGE_TYPES.LOG, message, logType: type });
+    }
+    promptTargets(playerIndex, candidates, count, effect) {
+        return this.match.requestChoice(playerIndex, candidates, count, effect);
+    }
+    promptDefenderResponse(playerIndex, attack, responses) {
+        return this.match.requestDefense(playerIndex, attack, responses);
+    }
+    promptRps(playerIndex) {
+        return this.match.requestSetup(playerIndex, 'rps', null);
+    }
+    promptMulligan(playerIndex, hand) {
+        return this.match.requestSetup(playerIndex, 'mulligan', false);
+    }
+    showAttackEffect(attackerCard, target) {
+        this.match.broadcast({ type: MESSAGE_TYPES.ATTACK_EFFECT, attackerUUID: attackerCard.uuid, target: target && target.uuid ? target.uuid : target });
+    }
+}
+
+/**
+ * 1試合分の参加者とエンジンを管理するクラス。
+ */
+class Match {
+    constructor(id) {
+        this.id = id;
+        this.seats = [];
+        this.engine = null;
+        this.lastViews = [null, null];
+        this.finished = false;
+        this.pendingChoice = null;
+        this.pendingDefense = null;
+        this.pendingSetup = null;
+    }
+
+    /**
+     * 席に着く。
+     * @param {string} name - プレイヤー名
+     * @param {WebSocketConnection} connection - 接続
+     * @returns {Object} 席の情報
+     */
+    addPlayer(name, connection) {
+        const seat = { index: this.seats.length, name, token: randomUUID(), connection };
+        this.seats.push(seat);
+        return seat;
+    }
+
+    isFull() {
+        return this.seats.length === 2;
+    }
+
+    /**
+     * 2人揃ったら試合を開始する。
+     * @param {Object[]} cardsData - カードデータ
+     */
+    start(cardsData) {
+        try {
+            this.engine = new GameEngine({ createUI: engine => new MatchUI(engine, this), speed: 0 });
+            this.engine.state = this.engine.createInitialGameState(cardsData, 'Online', this.seats.map(seat => seat.name));
+            console.log(`[${this.id}] 試合開始: ${this.seats.map(seat => seat.name).join(' vs ')} (seed ${this.engine.state.seed})`);
+            this.broadcastState();
+        } catch (error) {
+            this.abort(error);
+            return;
+        }
+        this.engine.runGameLoop().then(state => {
+            if (this.finished) return;
+            this.finished = true;
+            const { text: reason } = describeGameResult(state, index => this.engine.getPlayerName(index));
+            // 試合が終わったので、再現用のシードを明かす
+            this.broadcast({ type: MESSAGE_TYPES.GAME_OVER, winner: state.winner, reason, seed: state.seed });
+            console.log(`[${this.id}] 試合終了: winner=${state.winner}`);
+        }).catch(error => this.abort(error));
+    }
+
+    /**
+     * エンジンで例外が起きた試合を中断し、両者にエラーと試合終了を知らせる。
+     * 例外をここで止め、同じサーバーの他の試合まで止まらないようにする。
+     * @param {Error} error - 発生した例外
+     */
+    abort(error) {
+        console.error(`[${this.id}] 試合中にエラーが発生したため中断します`, error);
+        if (this.finished) return;
+        this.finished = true;
+        const message = 'サーバーでエラーが発生したため、試合を中断しました';
+        this.broadcast({ type: MESSAGE_TYPES.ERROR, message });
+        this.broadcast({ type: MESSAGE_TYPES.GAME_OVER, winner: null, reason: message, aborted: true });
+    }
+
+    /**
+     * 切断した席に新しい接続を割り当てる。
+     * @param {Object} seat - 席の情報
+     * @param {WebSocketConnection} connection - 新しい接続
+     */
+    reconnect(seat, connection) {
+        seat.connection = connection;
+        this.lastViews[seat.index] = null;
+        this.sendTo(seat, { type: MESSAGE_TYPES.JOINED, token: seat.token, playerIndex: seat.index, matchId: this.id });
+        this.notifyOpponent(seat, true);
+        if (this.engine) this.broadcastState();
+        else this.sendTo(seat, { type: MESSAGE_TYPES.WAITING });
+        if (this.pendingChoice && this.pendingChoice.request.playerIndex === seat.index) {
+            this.sendTo(seat, this.pendingChoice.request);
+        }
+        if (this.pendingDefense && this.pendingDefense.request.playerIndex === seat.index) {
+            this.sendTo(seat, { ...this.pendingDefense.request, timeout: Math.max(0, this.pendingDefense.deadline - Date.now()) });
+        }
+        if (this.pendingSetup && this.pendingSetup.request.playerIndex === seat.index) {
+            this.sendTo(seat, { ...this.pendingSetup.request, timeout: Math.max(0, this.pendingSetup.deadline - Date.now()) });
+        }
+    }
+
+    /**
+     * クライアントからの操作を検証して適用する。エンジンで例外が起きた場合は試合を中断する。
+     * @param {Object} seat - 操作した席
+     * @param {Object} action - 操作内容
+     */
+    async handleAction(seat, action) {
+        if (!this.engine || this.finished) return;
+        let result;
+        try {
+            result = await this.engine.applyAction(seat.index, action);
+        } catch (error) {
+            this.abort(error);
+            return;
+        }
+        if (!result.ok) {
+            this.sendTo(seat, { type: MESSAGE_TYPES.ERROR, message: result.error });
+            // 楽観的に操作不可にしたクライアントを元に戻すため状態を送り直す
+            this.lastViews[seat.index] = null;
+            this.broadcastState();
+        }
+    }
+
+    /**
+     * 対象の選択をプレイヤーに依頼し、回答を待つ。
+     * 回答の合法性はエンジン側（GameEngine.chooseTargets）で検証される。
+     * @returns {Promise<string[]>} 選ばれたカードのuuid
+     */
+    requestChoice(playerIndex, candidates, count, effect) {
+        return new Promise(resolve => {
+            const request = {
+                type: MESSAGE_TYPES.CHOICE_REQUEST,
+                requestId: randomUUID(),
+                playerIndex,
+                candidates: candidates.map(({ playerIndex: owner, zone, slot, card }) => ({ playerIndex: owner, zone, slot, card })),
+                count,
+                effect: { op: effect.op },
+            };
+            this.pendingChoice = { request, resolve };
+            this.sendTo(this.seats[playerIndex], request);
+        });
+    }
+
+    /**
+     * 対象選択の回答を受け取る。
+     * @param {Object} seat - 回答した席
+     * @param {Object} message - 回答メッセージ
+     */
+    handleChoice(seat, message) {
+        const pending = this.pendingChoice;
+        if (!pending || pending.request.playerIndex !== seat.index || pending.request.requestId !== message.requestId) return;
+        this.pendingChoice = null;
+        pending.resolve(message.uuids);
+    }
+
+    /**
+     * 攻撃への応答を防御側のプレイヤーに依頼し、回答を待つ。
+     * 制限時間内に回答がない場合（切断中を含む）はパスとして扱い、攻撃側を待たせ続けない。
+     * 回答の合法性はエンジン側（GameEngine.requestDefenderResponse）で検証される。
+     * @returns {Promise<Object>} 応答
+     */
+    requestDefense(playerIndex, attack, responses) {
+        return new Promise(resolve => {
+            const request = {
+                type: MESSAGE_TYPES.DEFENSE_REQUEST,
+                requestId: randomUUID(),
+                playerIndex,
+                attack,
+                responses,
+            };
+            const timer = setTimeout(() => {
+                this.pendingDefense = null;
+                this.broadcast({ type: MESSAGE_TYPES.LOG, message: '時間切れのため、ブロックせずに攻撃を受けます', logType: 'info' });
+                resolve({ type: 'pass' });
+            }, DEFENSE_TIMEOUT_MS);
+            this.pendingDefense = {
+                request,
+                deadline: Date.now() + DEFENSE_TIMEOUT_MS,
+                resolve: response => {
+                    clearTimeout(timer);
+                    resolve(response);
+                },
+            };
+            this.sendTo(this.seats[playerIndex], { ...request, timeout: DEFENSE_TIMEOUT_MS });
+        });
+    }
+
+    /**
+     * 攻撃への応答の回答を受け取る。
+     * @param {Object} seat - 回答した席
+     * @param {Object} message - 回答メッセージ
+     */
+    handleDefense(seat, message) {
+        const pending = this.pendingDefense;
+        if (!pending || pending.request.playerIndex !== seat.index || pending.request.requestId !== message.requestId) return;
+        this.pendingDefense = null;
+        pending.resolve(message.response);
+    }
+
+    /**
+     * 試合開始前の選択（kind: 'rps' | 'mulligan'）をプレイヤーに依頼し、回答を待つ。
+     * 制限時間内に回答がない場合（切断中を含む）は fallback を回答として扱う。
+     * 回答の扱いはエンジン側（GameEngine.chooseRpsHand / offerMulligan）で決まる。
+     * @returns {Promise<*>} 回答
+     */
+    requestSetup(playerIndex, kind, fallback) {
+        return new Promise(resolve => {
+            const request = {
+                type: MESSAGE_TYPES.SETUP_REQUEST,
+                requestId: randomUUID(),
+                playerIndex,
+                kind,
+            };
+            const timer = setTimeout(() => {
+                this.pendingSetup = null;
+                resolve(fallback);
+            }, SETUP_TIMEOUT_MS);
+            this.pendingSetup = {
+                request,
+                deadline: Date.now() + SETUP_TIMEOUT_MS,
+                resolve: choice => {
+                    clearTimeout(timer);
+                    resolve(choice);
+                },
+            };
+            this.sendTo(this.seats[playerIndex], { ...request, timeout: SETUP_TIMEOUT_MS });
+        });
+    }
+
+    /**
+     * 試合開始前の選択の回答を受け取る。
+     * @param {Object} seat - 回答した席
+     * @param {Object} message - 回答メッセージ
+     */
+    handleSetup(seat, message) {
+        const pending = this.pendingSetup;
+        if (!pending || pending.request.playerIndex !== seat.index || pending.request.requestId !== message.requestId) return;
+        this.pendingSetup = null;
+        pending.resolve(message.choice);
+    }
+
+    notifyOpponent(seat, connected) {
+        const opponent = this.seats.find(s => s !== seat);
+        if (opponent) this.sendTo(opponent, { type: MESSAGE_TYPES.OPPONENT_STATUS, connected });
+    }
+
+    /**
+     * 各席に、その席から見える状態の差分を送信する。
+     */
+    broadcastState() {
+        if (!this.engine || !this.engine.state) return;
+        const awaitingInput = !this.engine.isProcessing && this.engine.actionPromise !== null;
+        this.seats.forEach(seat => {
+            if (!seat.connection) return;
+            const view = createPlayerView(this.engine.state, seat.index, awaitingInput);
+            const previous = this.lastViews[seat.index];
+            if (!previous) {
+                this.sendTo(seat, { type: MESSAGE_TYPES.STATE, state: view });
+            } else {
+                const ops = diffState(previous, view);
+                if (ops.length) this.sendTo(seat, { type: MESSAGE_TYPES.DIFF, ops });
+            }
+            this.lastViews[seat.index] = view;
+        });
+    }
+
+    broadcast(message) {
+        this.seats.forEach(seat => this.sendTo(seat, message));
+    }
+
+    sendTo(seat, message) {
+        if (seat.connection) seat.connection.send(JSON.stringify(message));
+    }
+}
+
+const matches = new Map();
+const seatsByToken = new Map();
+let waitingMatch = null;
+let cardsData = null;
+
+async function loadCards() {
+    if (!cardsData) {
+        const localData = JSON.parse(await readFile(path.join(ROOT_DIR, 'data/cards.json'), 'utf8'));
+        cardsData = localData.map(card => normalizeCardData(card, card));
+    }
+    return cardsData;
+}
+
+/**
+ * 新しい接続を処理する。
+ * @param {WebSocketConnection} connection - 接続
+ */
+function handleConnection(connection) {
+    let seat = null;
+    let match = null;
+
+    connection.on('message', async text => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch {
+            connection.send(JSON.stringify({ type: MESSAGE_TYPES.ERROR, message: '不正なメッセージです' }));
+            return;
+        }
+
+        if (message.type === MESSAGE_TYPES.JOIN && !seat) {
+            if (!waitingMatch) {
+                waitingMatch = new Match(randomUUID().slice(0, 8));
+                matches.set(waitingMatch.id, waitingMatch);
+            }
+            match = waitingMatch;
+            seat = match.addPlayer(String(message.name || `Player ${match.seats.length + 1}`).slice(0, 20), connection);
+            seatsByToken.set(seat.token, { match, seat });
+            match.sendTo(seat, { type: MESSAGE_TYPES.JOINED, token: seat.token, playerIndex: seat.index, matchId: match.id });
+            if (match.isFull()) {
+                waitingMatch = null;
+                match.start(await loadCards());
+            } else {
+                match.sendTo(seat, { type: MESSAGE_TYPES.WAITING });
+            }
+        } else if (message.type === MESSAGE_TYPES.REJOIN && !seat) {
+            const entry = seatsByToken.get(message.token);
+            if (!entry || entry.match.finished) {
+                connection.send(JSON.stringify({ type: MESSAGE_TYPES.ERROR, message: '再接続できる試合がありません', fatal: true }));
+                return;
+            }
+            ({ match, seat } = entry);
+            match.reconnect(seat, connection);
+        } else if (message.type === MESSAGE_TYPES.ACTION && seat) {
+            match.handleAction(seat, message.action);
+        } else if (message.type === MESSAGE_TYPES.CHOICE_RESPONSE && seat) {
+            match.handleChoice(seat, message);
+        } else if (message.type === MESSAGE_TYPES.DEFENSE_RESPONSE && seat) {
+            match.handleDefense(seat, message);
+        } else if (message.type === MESSAGE_TYPES.SETUP_RESPONSE && seat) {
+            match.handleSetup(seat, message);
+        }
+    });
+
+    connection.on('close', () => {
+        if (!seat || seat.connection !== connection) return;
+        seat.connection = null;
+        match.notifyOpponent(seat, false);
+        if (match.seats.every(s => !s.connection) && (match.finished || match === waitingMatch)) {
+            matches.delete(match.id);
+            match.seats.forEach(s => seatsByToken.delete(s.token));
+            if (match === waitingMatch) waitingMatch = null;
+        }
+    });
+}
+
+/**
+ * 静的ファイルを配信する。
+ */
+async function serveStatic(request, response) {
+    const urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    const filePath = path.join(ROOT_DIR, urlPath === '/' ? 'index.html' : urlPath);
+    if (!filePath.startsWith(ROOT_DIR + path.sep)) {
+        response.writeHead(403).end();
+        return;
+    }
+    try {
+        const body = await readFile(filePath);
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        response.end(body);
+    } catch {
+        response.writeHead(404).end('Not Found');
+    }
+}
+
+const server = http.createServer(serveStatic);
+server.on('upgrade', (request, socket) => {
+    const connection = WebSocketConnection.accept(request, socket);
+    if (connection) handleConnection(connection);
+});
+server.listen(PORT, () => {
+    console.log(`マッチサーバーをポート ${PORT} で起動しています。`);
+    console.log(`ブラウザの2つのタブで http://localhost:${PORT} を開いてください。`);
+});
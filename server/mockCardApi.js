@@ -0,0 +1,72 @@
+/**
+ * カードAPIのモックサーバー。本物のAPIと同じ limit/offset 形式で data/cards.json の内容を返す。
+ * 取得処理の再試行・部分取得を確かめるため、遅延や失敗を混ぜることができる。
+ *
+ * 使い方: node server/mockCardApi.js [ポート番号] [--cards=300] [--latency=200] [--fail-rate=0.3] [--fail-offsets=100,200]
+ *   --cards        返すカードの枚数。data/cards.json より多い場合はIDを変えて複製する
+ *   --latency      1リクエストあたりの遅延（ミリ秒）
+ *   --fail-rate    500エラーを返す確率（0〜1）
+ *   --fail-offsets 常に500エラーを返すoffset
+ * ゲームからは http://localhost:8765/?cardApi=http://localhost:8790/api/cards のように指定して使う。
+ */
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const args = process.argv.slice(2);
+const options = Object.fromEntries(args.filter(arg => arg.startsWith('--')).map(arg => arg.slice(2).split('=')));
+const PORT = Number(args.find(arg => !arg.startsWith('--')) || 8790);
+const LATENCY = Number(options.latency || 0);
+const FAIL_RATE = Number(options['fail-rate'] || 0);
+const FAIL_OFFSETS = new Set((options['fail-offsets'] || '').split(',').filter(Boolean).map(Number));
+
+/**
+ * 返すカードを用意する。
+ * @param {number} [count] - 枚数。省略時は data/cards.json と同じ
+ * @returns {Promise<Object[]>} カードデータ（スキル定義は含めない）
+ */
+async function loadCards(count) {
+    const localData = JSON.parse(await readFile(path.join(ROOT_DIR, 'data/cards.json'), 'utf8'));
+    const apiCards = localData.map(({ skill, ...card }) => card);
+    const total = count || apiCards.length;
+    return Array.from({ length: total }, (_, i) => {
+        const card = apiCards[i % apiCards.length];
+        return i < apiCards.length ? card : { ...card, id: `${card.id}-${Math.floor(i / apiCards.length)}` };
+    });
+}
+
+const cards = await loadCards(Number(options.cards) || 0);
+let requestCount = 0;
+
+const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    const headers = { 'Content-Type': 'application/json; charset=utf-8', 'Access-Control-Allow-Origin': '*' };
+    if (url.pathname !== '/api/cards') {
+        response.writeHead(404, headers);
+        response.end(JSON.stringify({ error: 'not found' }));
+        return;
+    }
+
+    const limit = Number(url.searchParams.get('limit') || 100);
+    const offset = Number(url.searchParams.get('offset') || 0);
+    requestCount++;
+    if (LATENCY) await new Promise(resolve => setTimeout(resolve, LATENCY));
+
+    if (FAIL_OFFSETS.has(offset) || Math.random() < FAIL_RATE) {
+        console.log(`#${requestCount} offset=${offset} -> 500`);
+        response.writeHead(500, headers);
+        response.end(JSON.stringify({ error: 'mock failure' }));
+        return;
+    }
+    const page = cards.slice(offset, offset + limit);
+    console.log(`#${requestCount} offset=${offset} -> ${page.length}枚`);
+    response.writeHead(200, headers);
+    response.end(JSON.stringify({ cards: page, total: cards.length }));
+});
+
+server.listen(PORT, () => {
+    console.log(`カードAPIのモックをポート ${PORT} で起動しています（${cards.length}枚）。`);
+    console.log(`エンドポイント: http://localhost:${PORT}/api/cards`);
+});
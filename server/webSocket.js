@@ -0,0 +1,134 @@
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { TEXT: 0x1, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+/**
+ * 外部ライブラリを使わない最小限のWebSocket接続（RFC 6455）。
+ * テキストメッセージ・ping/pong・closeのみに対応する。
+ */
+export class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+        socket.on('data', chunk => this.handleData(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    /**
+     * HTTPのupgradeリクエストを受け付けてWebSocket接続を確立する。
+     * @param {http.IncomingMessage} request - upgradeリクエスト
+     * @param {net.Socket} socket - 接続ソケット
+     * @returns {WebSocketConnection|null} 確立した接続。不正なリクエストの場合はnull
+     */
+    static accept(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || request.headers.upgrade?.toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return null;
+        }
+        const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', '',
+        ].join('\r\n'));
+        return new WebSocketConnection(socket);
+    }
+
+    /**
+     * テキストメッセージを送信する。
+     * @param {string} text - 送信する文字列
+     */
+    send(text) {
+        this.writeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8'));
+    }
+
+    close() {
+        if (this.closed) return;
+        this.writeFrame(OPCODES.CLOSE, Buffer.alloc(0));
+        this.socket.end();
+        this.handleClose();
+    }
+
+    writeFrame(opcode, payload) {
+        if (this.closed || this.socket.destroyed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * 受信データを蓄積し、揃ったフレームから順に処理する。
+     * @param {Buffer} chunk - 受信データ
+     */
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (this.buffer.length < offset + length) return;
+
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) payload[i] ^= this.buffer[maskOffset + (i % 4)];
+            }
+            this.buffer = this.buffer.subarray(offset + length);
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        if (opcode === OPCODES.CLOSE) {
+            this.close();
+        } else if (opcode === OPCODES.PING) {
+            this.writeFrame(OPCODES.PONG, payload);
+        } else if (opcode === OPCODES.TEXT || opcode === 0x0) {
+            this.fragments.push(payload);
+            if (fin) {
+                const text = Buffer.concat(this.fragments).toString('utf8');
+                this.fragments = [];
+                this.emit('message', text);
+            }
+        }
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+}
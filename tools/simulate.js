@@ -0,0 +1,102 @@
+/**
+ * AI同士の対戦を描画なしで繰り返し、勝率やカードごとの成績を集計するコマンドラインツール。
+ * data/cards.json のスキル調整やAIの改良の比較に使う。
+ *
+ * 使い方: node tools/simulate.js [--games=1000] [--seed=1] [--deck1=deck.json] [--deck2=deck.json]
+ *                               [--ai1=normal] [--ai2=normal] [--rules=standard] [--cards=data/cards.json] [--top=20] [--json=result.json]
+ *   --deck1, --deck2 デッキ構築画面と同じ形式（{ name, main, reiki }）のJSONファイル。省略時は全カード
+ *   --ai1, --ai2     AIの難易度（easy / normal / hard）
+ *   --rules          ルールのプリセット名（standard / quick / long）、またはルールの項目を書いたJSONファイル
+ *   --top            カード別の表に載せる枚数
+ *   --json           集計結果をJSONファイルにも書き出す
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { normalizeCardData } from '../js/cardData.js';
+import { DeckManager } from '../js/deckManager.js';
+import { AI_DIFFICULTIES, DEFAULT_AI_DIFFICULTY } from '../js/aiAgent.js';
+import { runBatch, formatBatchReport } from '../js/batchSimulator.js';
+import { RuleManager, RULE_PRESETS, normalizeRules } from '../js/ruleManager.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const options = Object.fromEntries(process.argv.slice(2).filter(arg => arg.startsWith('--')).map(arg => {
+    const [key, ...value] = arg.slice(2).split('=');
+    return [key, value.join('=')];
+}));
+
+/**
+ * デッキファイルを読み込み、カードプールに対して検証する。
+ * @param {string|undefined} file - デッキのJSONファイル
+ * @param {Object[]} cards - カードプール
+ * @returns {Promise<Object|null>} デッキ。ファイル指定がない場合はnull（全カード）
+ */
+async function loadDeck(file, cards) {
+    if (!file) return null;
+    const deck = JSON.parse(await readFile(path.resolve(file), 'utf8'));
+    const { valid, errors } = DeckManager.validateDeck(deck, cards);
+    if (!valid) throw new Error(`デッキ「${deck.name || file}」は使用できません。${errors.join(' ')}`);
+    return deck;
+}
+
+function parseDifficulty(value) {
+    const difficulty = value || DEFAULT_AI_DIFFICULTY;
+    if (!AI_DIFFICULTIES[difficulty]) {
+        throw new Error(`不明な難易度です: ${difficulty}（${Object.keys(AI_DIFFICULTIES).join(' / ')}）`);
+    }
+    return difficulty;
+}
+
+/**
+ * ルールのプリセット名またはJSONファイルからルールを読み込み、検証する。
+ * @param {string|undefined} value - プリセット名またはファイル
+ * @returns {Promise<Object>} ルール。指定がない場合は標準ルール
+ */
+async function loadRules(value) {
+    if (!value) return RULE_PRESETS.standard.rules;
+    const rules = RULE_PRESETS[value]
+        ? RULE_PRESETS[value].rules
+        : normalizeRules(JSON.parse(await readFile(path.resolve(value), 'utf8')));
+    const { valid, errors } = RuleManager.validateRules(rules);
+    if (!valid) throw new Error(`ルール「${value}」は使用できません。${errors.join(' ')}`);
+    return rules;
+}
+
+async function main() {
+    const cardsFile = options.cards ? path.resolve(options.cards) : path.join(ROOT_DIR, 'data/cards.json');
+    const localData = JSON.parse(await readFile(cardsFile, 'utf8'));
+    const cards = localData.map(card => normalizeCardData(card, card));
+
+    const configs = await Promise.all([1, 2].map(async index => {
+        const deck = await loadDeck(options[`deck${index}`], cards);
+        const aiDifficulty = parseDifficulty(options[`ai${index}`]);
+        return { name: deck ? deck.name : `全カード${index}`, deck, aiDifficulty };
+    }));
+    const games = Number(options.games || 1000);
+    const seed = Number(options.seed || 1);
+    const rules = await loadRules(options.rules);
+
+    const startedAt = Date.now();
+    const results = await runBatch(cards, {
+        configs,
+        games,
+        seed,
+        rules,
+        onProgress: (done, total) => {
+            if (process.stderr.isTTY) process.stderr.write(`\r${done} / ${total} 試合`);
+        },
+    });
+    if (process.stderr.isTTY) process.stderr.write('\n');
+
+    console.log(formatBatchReport(results, { topCards: Number(options.top || 20) }));
+    console.log(`\n所要時間: ${((Date.now() - startedAt) / 1000).toFixed(1)}秒`);
+    if (options.json) {
+        await writeFile(path.resolve(options.json), JSON.stringify(results, null, 2));
+        console.log(`集計結果を ${options.json} に書き出しました。`);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});